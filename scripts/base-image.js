@@ -0,0 +1,210 @@
+/**
+ * Base Image
+ * ==========
+ * Finds the base image of the Dockerfile and attributes image findings to it
+ *
+ * The base image is the image the final build stage starts from, following
+ * stage aliases (FROM builder AS runtime) back to an image reference. ARG
+ * defaults declared before the first FROM and the build-args input are
+ * substituted, so parameterized FROM lines resolve too.
+ *
+ * Findings are attributed with the Trivy result class and target:
+ *   - os-pkgs                         : Base image (OS packages)
+ *   - lang-pkgs in runtime locations  : Base image (e.g. the npm bundled with node)
+ *   - lang-pkgs elsewhere             : Application layers
+ *
+ * When a newer base image was scanned as well, its findings are compared
+ * with the base image findings of the build to show what an upgrade removes.
+ */
+
+const fs = require('fs');
+const { createCounts, countSeverity } = require('./severity');
+
+// Package locations populated by official language runtime images
+const RUNTIME_PATHS = [
+  /^\/?usr\/local\/lib\/node_modules\/(npm|corepack)\//,
+  /^\/?opt\/yarn-v[^/]*\//,
+  /^\/?usr\/local\/lib\/python[\d.]+\/(site|dist)-packages\/(pip|setuptools|wheel)[-/]/,
+  /^\/?usr\/local\/go\//,
+  /^\/?opt\/java\//,
+  /^\/?usr\/lib\/jvm\//
+];
+
+/**
+ * Parse build-args ("KEY=value" per line) into an object
+ */
+function parseBuildArgs(input) {
+  const args = {};
+  (input || '').split('\n').forEach(line => {
+    const index = line.indexOf('=');
+    if (index > 0) {
+      args[line.substring(0, index).trim()] = line.substring(index + 1).trim();
+    }
+  });
+  return args;
+}
+
+/**
+ * Substitute $VAR, ${VAR} and ${VAR:-default} with ARG values
+ */
+function substituteArgs(value, args) {
+  return value.replace(/\$(?:{([A-Za-z_][A-Za-z0-9_]*)(?::?-([^}]*))?}|([A-Za-z_][A-Za-z0-9_]*))/g, (match, braced, fallback, plain) => {
+    const name = braced || plain;
+    return args[name] !== undefined && args[name] !== '' ? args[name] : (fallback || '');
+  });
+}
+
+/**
+ * Parse the FROM stages of a Dockerfile
+ *
+ * @param {string} content - Dockerfile content
+ * @param {object} buildArgs - Build argument values overriding ARG defaults
+ * @returns {Array} Stages in order: { name, image, base, line }, where base is
+ *   the image reference the stage ultimately starts from
+ */
+function parseStages(content, buildArgs = {}) {
+  const stages = [];
+  const args = {};
+  let instruction = '';
+  let startLine = 0;
+  
+  const handle = (text, line) => {
+    const match = text.match(/^(\w+)\s+(.*)$/);
+    if (!match) {
+      return;
+    }
+    
+    const keyword = match[1].toUpperCase();
+    if (keyword === 'ARG' && stages.length === 0) {
+      // Only ARGs declared before the first FROM apply to FROM lines
+      const [name, ...rest] = match[2].trim().split('=');
+      args[name] = buildArgs[name] !== undefined ? buildArgs[name] : substituteArgs(rest.join('=').replace(/^["']|["']$/g, ''), args);
+    } else if (keyword === 'FROM') {
+      const words = match[2].trim().split(/\s+/).filter(word => !word.startsWith('--'));
+      const image = substituteArgs(words[0] || '', args);
+      const name = words.length >= 3 && words[1].toUpperCase() === 'AS' ? words[2].toLowerCase() : '';
+      const parent = stages.find(stage => stage.name && stage.name === image.toLowerCase());
+      stages.push({ name, image, base: parent ? parent.base : image, line });
+    }
+  };
+  
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const text = raw.trim();
+    if (!instruction && (text === '' || text.startsWith('#'))) {
+      return;
+    }
+    if (!instruction) {
+      startLine = index + 1;
+    }
+    
+    // Join continuation lines into a single instruction
+    if (text.endsWith('\\')) {
+      instruction += `${text.slice(0, -1)} `;
+      return;
+    }
+    handle(instruction + text, startLine);
+    instruction = '';
+  });
+  
+  return stages;
+}
+
+/**
+ * Read the Dockerfile and resolve the base image of its final stage
+ *
+ * @returns {{image: string, line: number, stages: number}|null} Base image, or null when unknown
+ */
+function resolveBaseImage(dockerfile, buildArgsInput) {
+  if (!dockerfile || !fs.existsSync(dockerfile)) {
+    return null;
+  }
+  
+  const stages = parseStages(fs.readFileSync(dockerfile, 'utf8'), parseBuildArgs(buildArgsInput));
+  if (stages.length === 0) {
+    return null;
+  }
+  
+  const final = stages[stages.length - 1];
+  const origin = stages.find(stage => stage.image === final.base) || final;
+  return { image: final.base, line: origin.line, stages: stages.length };
+}
+
+/**
+ * Check whether a Trivy result belongs to the base image
+ */
+function isBaseImageResult(result) {
+  if (result.Class === 'os-pkgs') {
+    return true;
+  }
+  return result.Class === 'lang-pkgs' && RUNTIME_PATHS.some(pattern => pattern.test(result.Target || ''));
+}
+
+/**
+ * Key identifying a base image vulnerability across base image versions
+ */
+function getBaseKey(vuln) {
+  return `${vuln.PkgName}|${vuln.VulnerabilityID}`;
+}
+
+/**
+ * Split image vulnerabilities into base image and application findings
+ *
+ * @param {object} results - Parsed Trivy JSON results of the built image
+ * @param {object} baseImage - Result of resolveBaseImage()
+ * @param {object|null} upgradeResults - Trivy results of a newer base image, if scanned
+ * @param {string} upgradeImage - Newer base image reference
+ * @returns {object} { image, line, stages, base, app, upgrade }
+ */
+function summarizeBaseImage(results, baseImage, upgradeResults, upgradeImage) {
+  const summary = {
+    image: baseImage ? baseImage.image : '',
+    line: baseImage ? baseImage.line : 0,
+    stages: baseImage ? baseImage.stages : 0,
+    base: createCounts(),
+    app: createCounts(),
+    upgrade: null
+  };
+  const baseKeys = new Map();
+  
+  ((results && results.Results) || []).forEach(result => {
+    const fromBase = isBaseImageResult(result);
+    (result.Vulnerabilities || []).forEach(vuln => {
+      countSeverity(fromBase ? summary.base : summary.app, vuln.Severity);
+      if (fromBase) {
+        baseKeys.set(getBaseKey(vuln), vuln);
+      }
+    });
+  });
+  
+  if (upgradeImage) {
+    summary.upgrade = { image: upgradeImage, completed: false, removed: createCounts(), added: createCounts(), remaining: 0 };
+    
+    if (upgradeResults) {
+      const upgradeKeys = new Map();
+      (upgradeResults.Results || []).forEach(result => {
+        (result.Vulnerabilities || []).forEach(vuln => upgradeKeys.set(getBaseKey(vuln), vuln));
+      });
+      
+      baseKeys.forEach((vuln, key) => {
+        if (!upgradeKeys.has(key)) {
+          countSeverity(summary.upgrade.removed, vuln.Severity);
+        }
+      });
+      upgradeKeys.forEach((vuln, key) => {
+        if (!baseKeys.has(key)) {
+          countSeverity(summary.upgrade.added, vuln.Severity);
+        }
+      });
+      summary.upgrade.completed = true;
+      summary.upgrade.remaining = upgradeKeys.size;
+    }
+  }
+  
+  return summary;
+}
+
+module.exports = {
+  parseStages,
+  resolveBaseImage,
+  summarizeBaseImage
+};
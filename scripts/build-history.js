@@ -0,0 +1,189 @@
+/**
+ * Build History
+ * =============
+ * Keeps a per-commit build history inside the PR comment
+ *
+ * The history is stored in a hidden, base64-encoded marker of the comment
+ * owned by the build, so no external storage is needed. Each entry records
+ * the short SHA, flow, tag and image severity counts of one build. The most
+ * recent entries also carry compact finding fingerprints, which allow a
+ * "since last push" delta against the previous commit of the same PR.
+ */
+
+const crypto = require('crypto');
+const { createCounts, countSeverity } = require('./severity');
+const { normalizeTarget, getFindingKey } = require('./finding-identity');
+
+const HISTORY_MARKER_PATTERN = /<!-- container-build-flow:history:([A-Za-z0-9+/=]+) -->/;
+
+// Entries kept in the comment, and how many of them keep fingerprints
+const MAX_ENTRIES = 20;
+const MAX_FINGERPRINTED_ENTRIES = 2;
+
+// Findings above this count are not fingerprinted to keep the comment small
+const MAX_FINGERPRINTS = 500;
+
+// Fingerprints are 8 hex characters followed by a severity code
+const FINGERPRINT_PATTERN = /[0-9a-f]{8}[CHMLU]/g;
+
+const SEVERITY_CODES = { CRITICAL: 'C', HIGH: 'H', MEDIUM: 'M', LOW: 'L', UNKNOWN: 'U' };
+const SEVERITY_KEYS = { C: 'critical', H: 'high', M: 'medium', L: 'low', U: 'unknown' };
+
+/**
+ * Fingerprint image findings as a compact "<8 hex chars><severity code>..." string
+ *
+ * Findings are identified like in the vulnerability comparison (see
+ * finding-identity.js), so both agree on which findings are new.
+ *
+ * @param {object} results - Parsed Trivy JSON results
+ * @returns {{fingerprints: string|null, findings: Map}} Fingerprints (null when too many) and lookup of finding details
+ */
+function fingerprintFindings(results) {
+  const findings = new Map();
+  
+  const targets = Array.isArray(results.Results) ? results.Results : [];
+  targets.forEach(result => {
+    (result.Vulnerabilities || []).forEach(vuln => {
+      const id = vuln.VulnerabilityID || 'UNKNOWN';
+      const pkg = vuln.PkgName || 'unknown';
+      const key = getFindingKey({ target: normalizeTarget(result), package: pkg, version: vuln.InstalledVersion || '', id: id });
+      const hash = crypto.createHash('sha1').update(key).digest('hex').substring(0, 8);
+      const severity = (vuln.Severity || 'UNKNOWN').toUpperCase();
+      
+      findings.set(hash, { id: id, package: pkg, severity: SEVERITY_CODES[severity] || 'U' });
+    });
+  });
+  
+  const fingerprints = findings.size <= MAX_FINGERPRINTS
+    ? Array.from(findings.entries()).map(([hash, finding]) => `${hash}${finding.severity}`).join('')
+    : null;
+  
+  return { fingerprints, findings };
+}
+
+/**
+ * Read the history stored in a previous comment body
+ */
+function readHistory(body) {
+  const match = (body || '').match(HISTORY_MARKER_PATTERN);
+  if (!match) {
+    return [];
+  }
+  
+  try {
+    const history = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Add the current build to the history
+ *
+ * A re-run of the same commit replaces its previous entry.
+ */
+function appendEntry(history, entry) {
+  const updated = history.filter(previous => previous.sha !== entry.sha);
+  updated.push(entry);
+  
+  const trimmed = updated.slice(-MAX_ENTRIES);
+  trimmed.forEach((previous, index) => {
+    if (index < trimmed.length - MAX_FINGERPRINTED_ENTRIES) {
+      delete previous.fp;
+    }
+  });
+  
+  return trimmed;
+}
+
+/**
+ * Serialize history into a hidden comment marker
+ */
+function serializeHistory(history) {
+  return `<!-- container-build-flow:history:${Buffer.from(JSON.stringify(history)).toString('base64')} -->`;
+}
+
+/**
+ * Count fingerprints by severity
+ */
+function countFingerprints(fingerprints) {
+  const counts = createCounts();
+  fingerprints.forEach(fingerprint => countSeverity(counts, SEVERITY_KEYS[fingerprint.slice(-1)]));
+  return counts;
+}
+
+/**
+ * Render the "since last push" delta and the collapsed history table
+ *
+ * @param {Array} history - History including the current entry as last element
+ * @param {Map} currentFindings - Lookup from fingerprint hash to finding details
+ * @param {string} commitBaseUrl - Base URL for commit links
+ * @returns {string} Markdown (empty when there is no previous build)
+ */
+function renderHistory(history, currentFindings, commitBaseUrl) {
+  if (history.length < 2) {
+    return '';
+  }
+  
+  const current = history[history.length - 1];
+  const previous = history[history.length - 2];
+  let markdown = '### 📈 Since Last Push\n\n';
+  
+  if (typeof current.fp === 'string' && typeof previous.fp === 'string') {
+    const currentFingerprints = current.fp.match(FINGERPRINT_PATTERN) || [];
+    const previousFingerprints = previous.fp.match(FINGERPRINT_PATTERN) || [];
+    // Compare by finding only, so a re-rated severity is not reported as new
+    const previousSet = new Set(previousFingerprints.map(fingerprint => fingerprint.slice(0, -1)));
+    const currentSet = new Set(currentFingerprints.map(fingerprint => fingerprint.slice(0, -1)));
+    const added = currentFingerprints.filter(fingerprint => !previousSet.has(fingerprint.slice(0, -1)));
+    const removed = previousFingerprints.filter(fingerprint => !currentSet.has(fingerprint.slice(0, -1)));
+    const addedCounts = countFingerprints(added);
+    const removedCounts = countFingerprints(removed);
+    
+    markdown += `Compared with the previous build of this PR ([\`${previous.sha}\`](${commitBaseUrl}/${previous.sha})):\n\n`;
+    markdown += '| Change | Critical | High | Medium | Low | Total |\n';
+    markdown += '|--------|----------|------|--------|-----|-------|\n';
+    markdown += `| 🆕 **New** | ${addedCounts.critical} | ${addedCounts.high} | ${addedCounts.medium} | ${addedCounts.low} | **${addedCounts.total}** |\n`;
+    markdown += `| ✅ **Fixed** | ${removedCounts.critical} | ${removedCounts.high} | ${removedCounts.medium} | ${removedCounts.low} | **${removedCounts.total}** |\n\n`;
+    
+    if (added.length > 0) {
+      const names = added
+        .map(fingerprint => currentFindings.get(fingerprint.slice(0, -1)))
+        .filter(Boolean)
+        .map(finding => `\`${finding.id}\` (${finding.package})`);
+      markdown += `New since last push: ${names.slice(0, 10).join(', ')}${names.length > 10 ? `, and ${names.length - 10} more` : ''}\n\n`;
+    }
+  } else if (current.counts && previous.counts) {
+    const delta = key => {
+      const value = current.counts[key] - previous.counts[key];
+      return value > 0 ? `+${value}` : `${value}`;
+    };
+    markdown += `Compared with [\`${previous.sha}\`](${commitBaseUrl}/${previous.sha}): Critical ${delta('critical')}, High ${delta('high')}, Medium ${delta('medium')}, Low ${delta('low')}, Total ${delta('total')}\n\n`;
+  } else {
+    markdown += `*No scan results to compare with the previous build ([\`${previous.sha}\`](${commitBaseUrl}/${previous.sha})).*\n\n`;
+  }
+  
+  markdown += `<details>\n<summary>🕓 Build History (${history.length} builds)</summary>\n\n`;
+  markdown += '| Commit | Flow | Tag | Critical | High | Medium | Low | Total |\n';
+  markdown += '|--------|------|-----|----------|------|--------|-----|-------|\n';
+  
+  history.slice().reverse().forEach(entry => {
+    const commit = `[\`${entry.sha}\`](${commitBaseUrl}/${entry.sha})${entry === current ? ' (current)' : ''}`;
+    const counts = entry.counts
+      ? `${entry.counts.critical} | ${entry.counts.high} | ${entry.counts.medium} | ${entry.counts.low} | ${entry.counts.total}`
+      : '— | — | — | — | —';
+    markdown += `| ${commit} | \`${entry.flow}\` | \`${entry.tag}\` | ${counts} |\n`;
+  });
+  
+  markdown += '\n</details>\n\n';
+  return markdown;
+}
+
+module.exports = {
+  fingerprintFindings,
+  readHistory,
+  appendEntry,
+  serializeHistory,
+  renderHistory
+};
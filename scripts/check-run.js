@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Check Run Script
+ * ================
+ * Reports the scan results as a GitHub check run on the built commit
+ *
+ * The check run sits next to the other checks of the commit and the pull
+ * request, so branch protection can require it:
+ *
+ *   - Conclusion : success when the vulnerability gate passed, failure when it
+ *                  did not, neutral when the gate was not evaluated
+ *   - Title      : Gate verdict and vulnerability counts
+ *   - Summary    : Findings per scan and the violated gate rules
+ *   - Text       : The security section of the PR comment
+ *   - Annotations: Dockerfile misconfigurations on the lines that cause them,
+ *                  source vulnerabilities on the lockfile or manifest that
+ *                  pulls in the package
+ *
+ * Check runs can only be created with the workflow token (GitHub App token),
+ * which needs the `checks: write` permission.
+ *
+ * Environment Variables:
+ *   CHECK_RUN_NAME                : Name of the check run
+ *   RESOLVED_SHA                  : Commit the check run is attached to
+ *   DOCKERFILE                    : Dockerfile path, used for misconfiguration annotations
+ *   BUILD_CONTEXT                 : Source scan directory, lockfile paths are relative to it
+ *   PRE_BUILD_SCAN_ENABLED, IMAGE_SCAN_ENABLED, ENABLE_IMAGE_COMPARISON
+ *
+ * Input:
+ *   - trivy-scan-summary.json, trivy-gate-results.json, trivy-misconfigurations.json,
+ *     trivy-source-dependencies.json and the other results read by security-report.js
+ *
+ * Output:
+ *   - GitHub Actions outputs: check-run-id, check-run-url, conclusion
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderWithinBudget } = require('./vulnerability-details');
+const { DETAILS_PLACEHOLDER, readJsonIfExists, loadScanResults, renderSecuritySection } = require('./security-report');
+const { SEVERITIES, severityRank } = require('./severity');
+
+// GitHub limits check run summaries and texts to 65,535 characters
+const OUTPUT_LIMIT = 65535;
+
+// GitHub accepts at most 50 annotations per request
+const ANNOTATION_BATCH = 50;
+const MAX_ANNOTATIONS = 200;
+
+const ANNOTATION_LEVEL = { CRITICAL: 'failure', HIGH: 'failure', MEDIUM: 'warning', LOW: 'notice', UNKNOWN: 'notice' };
+
+/**
+ * Normalize a workspace path for annotations (no leading ./)
+ */
+const toRepoPath = (...parts) => path.posix.normalize(path.posix.join(...parts.map(part => part.replace(/\\/g, '/')))).replace(/^(\.\/)+/, '');
+
+/**
+ * Find the first line of a manifest that mentions a package, or 1
+ */
+function findPackageLine(file, packageName) {
+  try {
+    const escaped = packageName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|[^A-Za-z0-9_.@/-])${escaped}([^A-Za-z0-9_.-]|$)`);
+    const index = fs.readFileSync(file, 'utf8').split('\n').findIndex(line => pattern.test(line));
+    return index === -1 ? 1 : index + 1;
+  } catch (error) {
+    return 1;
+  }
+}
+
+/**
+ * Annotate Dockerfile misconfigurations on the lines that cause them
+ */
+function misconfigurationAnnotations(misconfigurations, dockerfile) {
+  if (!misconfigurations) {
+    return [];
+  }
+  
+  return misconfigurations.findings.map(finding => {
+    const startLine = finding.startLine || 1;
+    let message = finding.message || finding.title;
+    if (finding.resolution) {
+      message += `\n\nResolution: ${finding.resolution}`;
+    }
+    if (finding.url) {
+      message += `\n${finding.url}`;
+    }
+    
+    return {
+      path: dockerfile,
+      start_line: startLine,
+      end_line: Math.max(finding.endLine || startLine, startLine),
+      annotation_level: ANNOTATION_LEVEL[finding.severity] || 'notice',
+      title: `${finding.status === 'new' ? 'New: ' : ''}${finding.id} (${finding.severity}) ${finding.title}`,
+      message: message,
+      severity: finding.severity,
+      isNew: finding.status === 'new'
+    };
+  });
+}
+
+/**
+ * Annotate source vulnerabilities on their lockfile, one annotation per package
+ */
+function sourceAnnotations(report, context) {
+  if (!report) {
+    return [];
+  }
+  
+  const annotations = [];
+  report.targets.forEach(target => {
+    const file = toRepoPath(context, target.target);
+    const packages = new Map();
+    
+    target.vulnerabilities.forEach(vuln => {
+      const key = `${vuln.package}@${vuln.version}`;
+      if (!packages.has(key)) {
+        packages.set(key, { name: vuln.package, version: vuln.version, vulnerabilities: [] });
+      }
+      packages.get(key).vulnerabilities.push(vuln);
+    });
+    
+    packages.forEach(pkg => {
+      // Vulnerabilities are sorted by severity, so the first one is the worst
+      const severity = pkg.vulnerabilities[0].severity;
+      const added = pkg.vulnerabilities.filter(vuln => vuln.status === 'new').length;
+      const line = findPackageLine(file, pkg.name);
+      const count = pkg.vulnerabilities.length;
+      
+      annotations.push({
+        path: file,
+        start_line: line,
+        end_line: line,
+        annotation_level: ANNOTATION_LEVEL[severity] || 'notice',
+        title: `${added > 0 ? 'New: ' : ''}${pkg.name} ${pkg.version}: ${count} vulnerabilit${count === 1 ? 'y' : 'ies'} (${severity})`,
+        message: pkg.vulnerabilities
+          .map(vuln => `${vuln.id} (${vuln.severity})${vuln.status === 'new' ? ' [new]' : ''}: ${vuln.fixedVersion ? `fixed in ${vuln.fixedVersion}` : 'no fix available'}`)
+          .join('\n'),
+        severity: severity,
+        isNew: added > 0
+      });
+    });
+  });
+  return annotations;
+}
+
+/**
+ * Decide the conclusion of the check run from the vulnerability gate
+ */
+function resolveConclusion(gate) {
+  if (!gate || !gate.evaluated) {
+    return 'neutral';
+  }
+  return gate.passed ? 'success' : 'failure';
+}
+
+/**
+ * Build the one-line title of the check run
+ */
+function buildTitle(summary, gate) {
+  const parts = [];
+  if (gate && gate.evaluated) {
+    parts.push(gate.passed
+      ? 'Vulnerability gate passed'
+      : `Vulnerability gate failed (${gate.violations.length} rule${gate.violations.length === 1 ? '' : 's'} violated)`);
+  }
+  if (summary && summary.completed) {
+    const counts = SEVERITIES
+      .filter(severity => summary[severity] > 0)
+      .map(severity => `${summary[severity]} ${severity}`);
+    parts.push(`${summary.total} image vulnerabilit${summary.total === 1 ? 'y' : 'ies'}${counts.length > 0 ? ` (${counts.join(', ')})` : ''}`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : 'Security scan results';
+}
+
+/**
+ * Build the summary: findings per scan and the violated gate rules
+ */
+function buildSummary(summary, gate, annotated, shown) {
+  let markdown = '';
+  
+  if (summary && summary.scans) {
+    markdown += '| Scan | Vulnerabilities | Misconfigurations | Secrets |\n|------|-----------------|-------------------|---------|\n';
+    [['source', 'Source code'], ['dockerfile', 'Dockerfile'], ['image', 'Container image']].forEach(([key, label]) => {
+      const scan = summary.scans[key];
+      if (scan && scan.completed) {
+        markdown += `| ${label} | ${scan.vulnerabilities.total} | ${scan.misconfigurations.total} | ${scan.secrets.total} |\n`;
+      }
+    });
+    markdown += '\n';
+  }
+  
+  if (gate && gate.evaluated) {
+    if (gate.passed) {
+      markdown += `✅ The \`${gate.flow}\` vulnerability gate passed.\n\n`;
+    } else {
+      markdown += `❌ The \`${gate.flow}\` vulnerability gate failed:\n\n`;
+      gate.violations.forEach(rule => {
+        markdown += `- **${rule.name}**: ${rule.count} found\n`;
+      });
+      markdown += '\n';
+    }
+  } else {
+    markdown += 'ℹ️ The vulnerability gate was not evaluated (container image scanning is disabled or did not complete).\n\n';
+  }
+  
+  if (annotated > shown) {
+    markdown += `*${shown} of ${annotated} findings are annotated, new and most severe first.*\n`;
+  }
+  return markdown;
+}
+
+module.exports = async ({github, context, core}) => {
+  try {
+    const checkName = process.env.CHECK_RUN_NAME || 'Container Security Scan';
+    const headSha = process.env.RESOLVED_SHA || context.sha;
+    const dockerfile = toRepoPath(process.env.DOCKERFILE || 'Dockerfile');
+    const buildContext = process.env.BUILD_CONTEXT || '.';
+    
+    core.info(`✔️  Creating check run "${checkName}" on ${headSha.substring(0, 7)}...`);
+    
+    const scan = loadScanResults();
+    const gate = readJsonIfExists('trivy-gate-results.json');
+    const conclusion = resolveConclusion(gate);
+    
+    // =============================================================================
+    // ANNOTATIONS
+    // =============================================================================
+    
+    const annotations = [
+      ...misconfigurationAnnotations(scan.misconfigurations, dockerfile),
+      ...sourceAnnotations(scan.sourceDependencies, buildContext)
+    ];
+    annotations.sort((a, b) => Number(b.isNew) - Number(a.isNew) || severityRank(a.severity) - severityRank(b.severity));
+    const shown = annotations.slice(0, MAX_ANNOTATIONS).map(({ severity, isNew, ...annotation }) => annotation);
+    
+    // =============================================================================
+    // OUTPUT
+    // =============================================================================
+    
+    const repoUrl = `${context.payload.repository.html_url}`;
+    const security = renderSecuritySection(scan, {
+      preBuildScan: process.env.PRE_BUILD_SCAN_ENABLED === 'true',
+      imageScan: process.env.IMAGE_SCAN_ENABLED === 'true',
+      comparison: process.env.ENABLE_IMAGE_COMPARISON === 'true',
+      securityTabUrl: `${repoUrl}/security/code-scanning`,
+      dockerfileUrl: `${repoUrl}/blob/${headSha}/${dockerfile}`
+    });
+    
+    let text = security.markdown.replace(/^\n---\n\n/, '');
+    if (text.includes(DETAILS_PLACEHOLDER)) {
+      const budget = Math.max(OUTPUT_LIMIT - (text.length - DETAILS_PLACEHOLDER.length) - 1000, 0);
+      const rendered = renderWithinBudget(security.findings, budget);
+      let details = '<details>\n<summary>📋 View Vulnerability Details</summary>\n\n' + rendered.markdown;
+      if (rendered.omitted > 0) {
+        details += `\n*${rendered.omitted} more vulnerabilities are not shown.*\n`;
+      }
+      text = text.split(DETAILS_PLACEHOLDER).join(details + '\n</details>\n\n');
+    }
+    
+    const output = {
+      title: buildTitle(scan.summary, gate),
+      summary: buildSummary(scan.summary, gate, annotations.length, shown.length),
+      text: text.substring(0, OUTPUT_LIMIT),
+      annotations: shown.slice(0, ANNOTATION_BATCH)
+    };
+    
+    // =============================================================================
+    // CHECK RUN
+    // =============================================================================
+    
+    const { data: checkRun } = await github.rest.checks.create({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      name: checkName,
+      head_sha: headSha,
+      status: 'completed',
+      conclusion: conclusion,
+      output: output
+    });
+    
+    // Further annotations are appended in batches
+    for (let start = ANNOTATION_BATCH; start < shown.length; start += ANNOTATION_BATCH) {
+      await github.rest.checks.update({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        check_run_id: checkRun.id,
+        output: { title: output.title, summary: output.summary, annotations: shown.slice(start, start + ANNOTATION_BATCH) }
+      });
+    }
+    
+    core.setOutput('check-run-id', checkRun.id.toString());
+    core.setOutput('check-run-url', checkRun.html_url || '');
+    core.setOutput('conclusion', conclusion);
+    core.info(`✅ Check run created: ${conclusion}, ${shown.length} annotation(s)`);
+  } catch (error) {
+    // Pull requests from forks get a read-only token
+    core.warning(`Failed to create check run: ${error.message}${error.status === 403 ? ' (the workflow needs the `checks: write` permission)' : ''}`);
+    core.debug(error.stack);
+  }
+};
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+/**
+ * Cleanup Tags Script
+ * ===================
+ * Deletes the ephemeral image tags of a pull request when it is closed
+ *
+ * Every push to a pull request publishes new immutable tags (pr-<sha> for
+ * the PR build, wip-<sha> for pushes to its branch), and nothing removes
+ * them. This script lists the commits of the closed pull request, matches
+ * the registry tags that the cleanup flows produced for those commits, and
+ * deletes them through the Docker Hub and GitHub Packages APIs (see
+ * registry-api.js).
+ *
+ * Only tag templates that contain {sha} or {pr} are matched, so tags shared
+ * with other pull requests or branches are never touched. Floating tags are
+ * left alone.
+ *
+ * Retention: the most recently pushed `keep-last` tags of every flow are
+ * kept, e.g. to keep the final image of a merged PR around.
+ *
+ * On GHCR a tag is deleted by deleting its package version. A version that
+ * also carries tags that are kept is skipped.
+ *
+ * Environment Variables:
+ *   CLEANUP_FLOWS     : Flows whose tags are deleted (comma-separated, default "pr,wip")
+ *   CLEANUP_KEEP_LAST : Tags to keep per flow and registry (default 0)
+ *   CLEANUP_DRY_RUN   : Only report what would be deleted
+ *   REGISTRIES_JSON   : Resolved registries
+ *   FLOW_RULES, MAIN_BRANCH, DEV_BRANCH, TAG_PREFIX, TAG_SUFFIX
+ *   DOCKERHUB_USERNAME_INPUT, DOCKERHUB_TOKEN_INPUT : Docker Hub API credentials
+ *   GHCR_TOKEN_INPUT  : GitHub token for the Packages API
+ *   GITHUB_TOKEN      : GitHub token for listing the pull request commits
+ *   GITHUB_EVENT_PATH, GITHUB_REPOSITORY, GITHUB_API_URL
+ *
+ * Output:
+ *   - cleanup-report.json: Every matched tag with its action (deleted, would-delete,
+ *     kept, skipped or failed) and the reason
+ *   - Job summary with the same report
+ *   - GitHub Actions outputs:
+ *       deleted      : Number of deleted tags (would be deleted, on a dry run)
+ *       kept         : Number of matched tags kept by the retention rule
+ *       deleted-tags : Deleted image references, one per line
+ */
+
+const fs = require('fs');
+const core = require('@actions/core');
+const { loadFlowConfig, renderTag } = require('./flow-rules');
+const {
+  isSupportedRegistry,
+  dockerHubHeaders,
+  listDockerHubTags,
+  listGhcrVersions,
+  deleteDockerHubTag,
+  deleteGhcrVersion
+} = require('./registry-api');
+
+const PLACEHOLDER_PATTERN = /({[a-z]+})/;
+
+// Registry tags searched for pull request tags, most recent first (100 per page)
+const MAX_TAG_PAGES = 10;
+
+// The pull request commits API returns at most 250 commits
+const MAX_COMMIT_PAGES = 3;
+
+/**
+ * Read the closed pull request from the event payload
+ */
+function readPullRequest() {
+  const event = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH || '', 'utf8'));
+  if (!event.pull_request) {
+    throw new Error('Cleanup runs on pull_request events only');
+  }
+  
+  return {
+    number: event.pull_request.number,
+    head: event.pull_request.head.ref,
+    base: event.pull_request.base.ref,
+    merged: Boolean(event.pull_request.merged)
+  };
+}
+
+/**
+ * List the short SHAs of the pull request commits
+ */
+async function listPullRequestShas(number) {
+  const api = process.env.GITHUB_API_URL || 'https://api.github.com';
+  const token = process.env.GITHUB_TOKEN || '';
+  const shas = [];
+  
+  for (let page = 1; page <= MAX_COMMIT_PAGES; page++) {
+    const response = await fetch(`${api}/repos/${process.env.GITHUB_REPOSITORY}/pulls/${number}/commits?per_page=100&page=${page}`, {
+      headers: { Accept: 'application/vnd.github+json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    });
+    if (!response.ok) {
+      throw new Error(`Listing the commits of PR #${number} returned ${response.status}`);
+    }
+    
+    const commits = await response.json();
+    commits.forEach(commit => shas.push(commit.sha.substring(0, 7)));
+    if (commits.length < 100) {
+      break;
+    }
+  }
+  return shas;
+}
+
+/**
+ * Build a regular expression matching the tags a flow produced for the pull request
+ *
+ * {sha} matches any of the pull request commits, placeholders known for the
+ * pull request are filled in and the others match any tag characters.
+ *
+ * @returns {RegExp|null} Pattern, or null when no template identifies the pull request
+ */
+function pullRequestTagPattern(flow, values, shas, prefix, suffix) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  
+  const sources = [flow.tag, ...(flow.tags || [])]
+    .filter(template => template && /{(sha|pr)}/.test(template))
+    .map(template => template
+      .split(PLACEHOLDER_PATTERN)
+      .map(part => {
+        if (!PLACEHOLDER_PATTERN.test(part)) {
+          return escape(part);
+        }
+        if (part === '{sha}') {
+          return `(?:${shas.map(escape).join('|')})`;
+        }
+        const value = renderTag(part, values);
+        return value ? escape(value) : '[a-z0-9._-]+';
+      })
+      .join(''));
+  
+  if (sources.length === 0 || shas.length === 0) {
+    return null;
+  }
+  return new RegExp(`^${escape(prefix)}(?:${sources.join('|')})${escape(suffix)}$`);
+}
+
+/**
+ * Decide which matched tags are deleted and which are kept
+ *
+ * @param {Array} tags - Tag names, most recent first
+ * @param {object} patterns - Flow name to tag pattern
+ * @param {number} keepLast - Tags to keep per flow
+ * @returns {Array} Matched tags: { tag, flow, keep }
+ */
+function planCleanup(tags, patterns, keepLast) {
+  const kept = {};
+  const plan = [];
+  
+  tags.forEach(tag => {
+    const flow = Object.keys(patterns).find(name => patterns[name].test(tag));
+    if (!flow) {
+      return;
+    }
+    kept[flow] = kept[flow] || 0;
+    const keep = kept[flow] < keepLast;
+    if (keep) {
+      kept[flow]++;
+    }
+    plan.push({ tag, flow, keep });
+  });
+  
+  return plan;
+}
+
+/**
+ * Clean up the pull request tags of a Docker Hub repository
+ */
+async function cleanupDockerHub(registry, patterns, options) {
+  const tags = await listDockerHubTags(registry, MAX_TAG_PAGES);
+  const plan = planCleanup(tags.map(tag => tag.name), patterns, options.keepLast);
+  const headers = plan.some(entry => !entry.keep) && !options.dryRun ? await dockerHubHeaders() : {};
+  const report = [];
+  
+  for (const entry of plan) {
+    const result = { registry: registry.display, image: `${registry.image}:${entry.tag}`, tag: entry.tag, flow: entry.flow };
+    
+    if (entry.keep) {
+      report.push({ ...result, action: 'kept', reason: `Latest ${options.keepLast} per flow` });
+    } else if (options.dryRun) {
+      report.push({ ...result, action: 'would-delete', reason: 'Dry run' });
+    } else {
+      try {
+        await deleteDockerHubTag(registry, entry.tag, headers);
+        report.push({ ...result, action: 'deleted', reason: '' });
+      } catch (error) {
+        report.push({ ...result, action: 'failed', reason: error.message });
+      }
+    }
+  }
+  return report;
+}
+
+/**
+ * Clean up the pull request tags of a GHCR package
+ */
+async function cleanupGhcr(registry, patterns, options) {
+  const versions = await listGhcrVersions(registry, MAX_TAG_PAGES);
+  const versionOf = new Map();
+  versions.forEach(version => version.tags.forEach(tag => versionOf.set(tag, version)));
+  
+  const plan = planCleanup(versions.flatMap(version => version.tags), patterns, options.keepLast);
+  const deleting = new Set(plan.filter(entry => !entry.keep).map(entry => entry.tag));
+  const deletedVersions = new Set();
+  const report = [];
+  
+  for (const entry of plan) {
+    const version = versionOf.get(entry.tag);
+    const result = { registry: registry.display, image: `${registry.image}:${entry.tag}`, tag: entry.tag, flow: entry.flow };
+    const others = version.tags.filter(tag => !deleting.has(tag));
+    
+    if (entry.keep) {
+      report.push({ ...result, action: 'kept', reason: `Latest ${options.keepLast} per flow` });
+    } else if (others.length > 0) {
+      // Deleting the version would delete the other tags as well
+      report.push({ ...result, action: 'skipped', reason: `Same image as ${others.map(tag => `\`${tag}\``).join(', ')}` });
+    } else if (options.dryRun) {
+      report.push({ ...result, action: 'would-delete', reason: 'Dry run' });
+    } else if (deletedVersions.has(version.id)) {
+      report.push({ ...result, action: 'deleted', reason: '' });
+    } else {
+      try {
+        await deleteGhcrVersion(version);
+        deletedVersions.add(version.id);
+        report.push({ ...result, action: 'deleted', reason: '' });
+      } catch (error) {
+        report.push({ ...result, action: 'failed', reason: error.message });
+      }
+    }
+  }
+  return report;
+}
+
+/**
+ * Write the cleanup report to the job summary
+ */
+async function writeSummary(pullRequest, report, registries, options) {
+  const count = action => report.filter(entry => entry.action === action).length;
+  const removed = options.dryRun ? count('would-delete') : count('deleted');
+  
+  let markdown = `## 🧹 Tag Cleanup for PR #${pullRequest.number}${options.dryRun ? ' (dry run)' : ''}\n\n`;
+  markdown += `${options.dryRun ? 'Would delete' : 'Deleted'} **${removed}** tag${removed === 1 ? '' : 's'} of ${options.flows.map(flow => `\`${flow}\``).join(', ')} builds`;
+  markdown += count('kept') > 0 ? `, kept ${count('kept')}` : '';
+  markdown += count('failed') > 0 ? `, ${count('failed')} failed` : '';
+  markdown += '.\n\n';
+  
+  registries.filter(registry => !isSupportedRegistry(registry)).forEach(registry => {
+    markdown += `*${registry.display}: tag deletion is not supported, its tags were left alone.*\n\n`;
+  });
+  
+  if (report.length > 0) {
+    const icons = { deleted: '🗑️', 'would-delete': '🗑️', kept: '📌', skipped: '⏭️', failed: '❌' };
+    markdown += '| | Image | Flow | Action |\n|---|-------|------|--------|\n';
+    report.forEach(entry => {
+      markdown += `| ${icons[entry.action]} | \`${entry.image}\` | ${entry.flow} | ${entry.action}${entry.reason ? ` — ${entry.reason}` : ''} |\n`;
+    });
+  }
+  
+  await core.summary.addRaw(markdown).write();
+}
+
+/**
+ * Clean up the tags of the closed pull request and set outputs
+ */
+async function cleanupTags() {
+  const flows = (process.env.CLEANUP_FLOWS || 'pr,wip').split(',').map(flow => flow.trim()).filter(Boolean);
+  const options = {
+    flows: flows,
+    keepLast: Math.max(parseInt(process.env.CLEANUP_KEEP_LAST || '0', 10) || 0, 0),
+    dryRun: process.env.CLEANUP_DRY_RUN === 'true'
+  };
+  const report = [];
+  
+  try {
+    const pullRequest = readPullRequest();
+    core.info(`🧹 Cleaning up tags of PR #${pullRequest.number} (${pullRequest.head} → ${pullRequest.base})${options.dryRun ? ' [dry run]' : ''}...`);
+    
+    const config = loadFlowConfig(process.env.FLOW_RULES, {
+      mainBranch: process.env.MAIN_BRANCH,
+      devBranch: process.env.DEV_BRANCH
+    });
+    const shas = await listPullRequestShas(pullRequest.number);
+    core.info(`  ${shas.length} commit(s), flows: ${flows.join(', ')}, keeping the last ${options.keepLast} per flow`);
+    
+    const patterns = {};
+    flows.forEach(name => {
+      const flow = config.flows[name];
+      if (!flow) {
+        core.warning(`⚠️  Unknown cleanup flow "${name}", skipping`);
+        return;
+      }
+      const pattern = pullRequestTagPattern(flow, { flow: name, branch: pullRequest.head, base: pullRequest.base, pr: String(pullRequest.number) }, shas, process.env.TAG_PREFIX || '', process.env.TAG_SUFFIX || '');
+      if (pattern) {
+        patterns[name] = pattern;
+      } else {
+        core.info(`  ${name}: no tag template identifies the pull request ({sha} or {pr}), skipping`);
+      }
+    });
+    
+    const registries = JSON.parse(process.env.REGISTRIES_JSON || '[]');
+    for (const registry of registries) {
+      if (!isSupportedRegistry(registry)) {
+        core.info(`  ${registry.display}: tag deletion is not supported, skipping`);
+        continue;
+      }
+      
+      try {
+        const entries = registry.host === 'docker.io'
+          ? await cleanupDockerHub(registry, patterns, options)
+          : await cleanupGhcr(registry, patterns, options);
+        entries.forEach(entry => {
+          if (entry.action === 'failed') {
+            core.warning(`⚠️  Could not delete ${entry.image}: ${entry.reason}`);
+          } else {
+            core.info(`  ${entry.action}: ${entry.image}${entry.reason ? ` (${entry.reason})` : ''}`);
+          }
+        });
+        report.push(...entries);
+      } catch (error) {
+        core.warning(`⚠️  Could not clean up ${registry.display}: ${error.message}`);
+      }
+    }
+    
+    fs.writeFileSync('cleanup-report.json', JSON.stringify({ pull_request: pullRequest, ...options, tags: report }, null, 2));
+    await writeSummary(pullRequest, report, registries, options);
+  } catch (error) {
+    core.error(`❌ Failed to clean up tags: ${error.message}`);
+    
+    // Don't fail the workflow, the cleanup can be repeated by re-running it
+    core.warning('Continuing despite cleanup error...');
+  }
+  
+  const removed = report.filter(entry => entry.action === (options.dryRun ? 'would-delete' : 'deleted'));
+  core.setOutput('deleted', removed.length.toString());
+  core.setOutput('kept', report.filter(entry => entry.action === 'kept').length.toString());
+  core.setOutput('deleted-tags', removed.map(entry => entry.image).join('\n'));
+  core.info(`✅ ${options.dryRun ? 'Would delete' : 'Deleted'} ${removed.length} tag(s)`);
+}
+
+// Execute
+cleanupTags();
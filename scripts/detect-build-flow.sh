@@ -12,18 +12,27 @@
 #   - dev-{sha}     : Pull request from dev to main branch
 #   - patch-{sha}   : Pull request to main (not from dev)
 #   - staging-{sha} : Push to main branch (pre-production)
+#   - release       : Semantic version tag push (1.2.3, 1.2, 1, latest)
 #   - wip-{sha}     : Work in progress (other branches)
 #
+# Custom flows and branch rules can be added with FLOW_RULES (see
+# flow-rules.js); they are matched before the built-in rules above.
+#
 # Usage:
 #   Called automatically by GitHub Actions composite action
 #   Environment variables are set by action.yml
 #
 # Outputs (via GitHub Actions):
 #   - build-flow-type : The detected flow type
-#   - tags            : Generated container tags
+#   - tags            : Primary container tag
+#   - tag-list        : All container tags, one per line
+#   - floating-tags   : Tags that move with every build, one per line
+#   - metadata-tags   : All tags formatted for docker/metadata-action
+#   - version         : Release version (release flow only)
 #   - short-sha       : Short commit SHA
-#   - dockerhub-image : Docker Hub image name
-#   - ghcr-image      : GHCR image name
+#   - image-name      : Base image name (without registry or namespace)
+#
+# Full image names per registry are resolved by resolve-registries.js
 # =============================================================================
 
 set -euo pipefail
@@ -46,6 +55,10 @@ DEV_BRANCH="${DEV_BRANCH:-dev}"
 TAG_PREFIX="${TAG_PREFIX:-}"
 TAG_SUFFIX="${TAG_SUFFIX:-}"
 IMAGE_NAME="${IMAGE_NAME:-}"
+FLOW_RULES="${FLOW_RULES:-}"
+
+# Directory of this script, used to locate flow-rules.js
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 
 # Colors for output
 RED='\033[0;31m'
@@ -108,13 +121,9 @@ resolve_image_names() {
     # Use custom image name if provided, otherwise use repository name
     local base_image_name="${IMAGE_NAME:-$repo_name}"
     
-    # Construct full image names
-    DOCKERHUB_IMAGE="${GITHUB_REPOSITORY_OWNER}/${base_image_name}"
-    GHCR_IMAGE="ghcr.io/${GITHUB_REPOSITORY_OWNER}/${base_image_name}"
+    BASE_IMAGE_NAME="${base_image_name}"
     
-    log_debug "Image names resolved:"
-    log_debug "  Docker Hub: ${DOCKERHUB_IMAGE}"
-    log_debug "  GHCR: ${GHCR_IMAGE}"
+    log_debug "Image name resolved: ${BASE_IMAGE_NAME}"
 }
 
 # =============================================================================
@@ -145,64 +154,32 @@ detect_build_flow() {
     # FLOW DETECTION ALGORITHM
     # =============================================================================
     
-    if [ "$GITHUB_EVENT_NAME" = "pull_request" ] || [ "$GITHUB_EVENT_NAME" = "pull_request_target" ]; then
-        log_info "Pull request detected"
-        
-        # Extract base and head branch names
-        local base_branch="${GITHUB_BASE_REF}"
-        local head_branch="${GITHUB_HEAD_REF}"
-        
-        log_debug "  Base branch (target): ${base_branch}"
-        log_debug "  Head branch (source): ${head_branch}"
-        
-        # PR to dev branch -> pr-{sha}
-        if [ "$base_branch" = "$DEV_BRANCH" ]; then
-            flow_type="pr"
-            log_success "Flow: PR to dev branch"
-            
-        # PR from dev to main -> dev-{sha}
-        elif [ "$base_branch" = "$MAIN_BRANCH" ] && [ "$head_branch" = "$DEV_BRANCH" ]; then
-            flow_type="dev"
-            log_success "Flow: Dev to main promotion"
-            
-        # PR to main (not from dev) -> patch-{sha}
-        elif [ "$base_branch" = "$MAIN_BRANCH" ]; then
-            flow_type="patch"
-            log_success "Flow: Patch to main (hotfix)"
-            
-        # Any other PR -> wip-{sha}
-        else
-            flow_type="wip"
-            log_warning "Flow: Work in progress (non-standard PR)"
-        fi
-        
-    elif [ "$GITHUB_EVENT_NAME" = "push" ]; then
-        log_info "Push event detected"
-        
-        # Extract branch name from ref
-        local branch="${GITHUB_REF#refs/heads/}"
-        log_debug "  Branch: ${branch}"
-        
-        # Push to dev branch -> dev-{sha}
-        if [ "$branch" = "$DEV_BRANCH" ]; then
-            flow_type="dev"
-            log_success "Flow: Push to dev branch"
-            
-        # Push to main branch -> staging for pre-production validation
-        elif [ "$branch" = "$MAIN_BRANCH" ]; then
-            flow_type="staging"
-            log_success "Flow: Push to main branch (staging)"
-            
-        # Push to any other branch -> wip-{sha}
-        else
-            flow_type="wip"
-            log_warning "Flow: Work in progress branch push"
-        fi
-        
+    # Rules are matched in order by flow-rules.js: custom rules from
+    # FLOW_RULES first, then the built-in pr/dev/patch/staging/wip rules
+    if [ -n "$FLOW_RULES" ]; then
+        log_info "Using custom flow rules"
+    fi
+    
+    local match label version
+    if ! match=$(SHORT_SHA="$short_sha" node "${SCRIPT_DIR}/flow-rules.js"); then
+        log_error "Flow detection failed"
+        exit 1
+    fi
+    
+    {
+        read -r flow_type
+        read -r label
+        read -r version
+    } <<< "$match"
+    
+    if [ "$flow_type" = "wip" ]; then
+        log_warning "Flow: ${label}"
     else
-        # Fallback for other events
-        flow_type="wip"
-        log_warning "Flow: Unrecognized event type, using WIP"
+        log_success "Flow: ${label}"
+    fi
+    
+    if [ -n "$version" ]; then
+        log_debug "  Version: ${version}"
     fi
     
     # =============================================================================
@@ -211,11 +188,21 @@ detect_build_flow() {
     
     log_info "Generating container tags..."
     
-    local base_tag="${flow_type}-${short_sha}"
-    local full_tag="${TAG_PREFIX}${base_tag}${TAG_SUFFIX}"
+    # Remaining lines are "<immutable|floating> <tag>", primary tag first
+    local tag_list="" floating_list="" kind base_tag
+    while read -r kind base_tag; do
+        [ -z "$base_tag" ] && continue
+        tag_list+="${TAG_PREFIX}${base_tag}${TAG_SUFFIX}"$'\n'
+        if [ "$kind" = "floating" ]; then
+            floating_list+="${TAG_PREFIX}${base_tag}${TAG_SUFFIX}"$'\n'
+        fi
+        log_debug "  Tag: ${TAG_PREFIX}${base_tag}${TAG_SUFFIX} (${kind})"
+    done <<< "$(echo "$match" | tail -n +4)"
+    tag_list="${tag_list%$'\n'}"
+    floating_list="${floating_list%$'\n'}"
     
-    log_debug "  Base tag: ${base_tag}"
-    log_debug "  Full tag: ${full_tag}"
+    local full_tag
+    full_tag=$(echo "$tag_list" | head -n1)
     
     # =============================================================================
     # EXPORT TO GITHUB ACTIONS
@@ -227,19 +214,27 @@ detect_build_flow() {
     {
         echo "build-flow-type=${flow_type}"
         echo "tags=${full_tag}"
+        echo "tag-list<<EOF"
+        echo "${tag_list}"
+        echo "EOF"
+        echo "floating-tags<<EOF"
+        echo "${floating_list}"
+        echo "EOF"
+        echo "metadata-tags<<EOF"
+        echo "$tag_list" | sed 's/^/type=raw,value=/'
+        echo "EOF"
+        echo "version=${version}"
         echo "short-sha=${short_sha}"
-        echo "dockerhub-image=${DOCKERHUB_IMAGE}"
-        echo "ghcr-image=${GHCR_IMAGE}"
+        echo "image-name=${BASE_IMAGE_NAME}"
     } >> "$GITHUB_OUTPUT"
     
     log_success "Build flow detection complete!"
     echo ""
     log_info "Summary:"
     echo -e "  ${CYAN}Flow Type:${NC} ${flow_type}"
-    echo -e "  ${CYAN}Tag:${NC} ${full_tag}"
+    echo -e "  ${CYAN}Tags:${NC} $(echo "$tag_list" | tr '\n' ' ')"
     echo -e "  ${CYAN}Short SHA:${NC} ${short_sha}"
-    echo -e "  ${CYAN}Docker Hub:${NC} ${DOCKERHUB_IMAGE}:${full_tag}"
-    echo -e "  ${CYAN}GHCR:${NC} ${GHCR_IMAGE}:${full_tag}"
+    echo -e "  ${CYAN}Image:${NC} ${BASE_IMAGE_NAME}:${full_tag}"
 }
 
 # =============================================================================
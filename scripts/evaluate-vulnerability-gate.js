@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+/**
+ * Evaluate Vulnerability Gate Script
+ * ===================================
+ * Evaluates scan results against a declarative vulnerability policy
+ *
+ * This script reads the image scan results (and the comparison report when
+ * available), resolves the policy for the detected build flow, and checks
+ * every severity limit. Each violated rule is logged together with the
+ * findings that broke it, and the verdict is exposed as action outputs.
+ * The step itself never fails: the action enforces the verdict after the
+ * PR comment and job summary are written, so they show the failed gate.
+ * Findings covered by an unexpired vulnerability exception do not count.
+ *
+ * Policy format (JSON, inline or file path):
+ *   {
+ *     "default": { "max": { "critical": 0, "high": 0 } },
+ *     "flows": {
+ *       "patch":   { "max": { "high": 0, "medium": 10 } },
+ *       "staging": { "max": { "high": 0, "medium": 10 } },
+ *       "wip":     { "max": { "high": null }, "only-new": true, "only-fixable": true }
+ *     }
+ *   }
+ *
+ *   - max          : Maximum allowed findings per severity (null removes the limit)
+ *   - only-new     : Only count findings that are new compared to the baseline,
+ *                    or that were re-rated to a higher severity
+ *   - only-fixable : Only count findings that have a fixed version available
+ *
+ *   Flow policies are merged on top of the default policy.
+ *
+ * Environment Variables:
+ *   VULNERABILITY_POLICY  : Inline JSON policy or path to a JSON policy file
+ *   BUILD_FLOW_TYPE       : Detected flow (pr, dev, patch, staging, wip)
+ *   TRIVY_SEVERITY        : Scanned severities, used to build the default policy
+ *   VULNERABILITY_EXCEPTIONS : Inline JSON exceptions or path to a JSON file
+ *
+ * Input:
+ *   - trivy-image-results.json: Current image scan results
+ *   - trivy-comparison.json: Comparison report (required for only-new)
+ *
+ * Output:
+ *   - trivy-gate-results.json: Gate verdict with violated rules and findings
+ *   - GitHub Actions outputs: passed, violations, flow
+ */
+
+const fs = require('fs');
+const core = require('@actions/core');
+const { loadExceptionStatus, applyExceptions } = require('./vulnerability-exceptions');
+const { SEVERITIES, severityRank } = require('./severity');
+
+/**
+ * Build the policy used when no policy is configured
+ *
+ * Mirrors the original threshold check: any CRITICAL or HIGH finding fails
+ * the gate when that severity is part of the scanned levels.
+ */
+function buildDefaultPolicy(trivySeverity) {
+  const scanned = trivySeverity.toUpperCase().split(',').map(s => s.trim());
+  const max = {};
+  
+  if (scanned.includes('CRITICAL')) {
+    max.critical = 0;
+  }
+  if (scanned.includes('HIGH')) {
+    max.high = 0;
+  }
+  
+  return { default: { max } };
+}
+
+/**
+ * Load policy from inline JSON or a file path
+ */
+function loadPolicy(policyInput, trivySeverity) {
+  const value = policyInput.trim();
+  
+  if (!value) {
+    core.info('No vulnerability policy configured, using default threshold policy');
+    return buildDefaultPolicy(trivySeverity);
+  }
+  
+  if (value.startsWith('{')) {
+    core.info('Using inline vulnerability policy');
+    return JSON.parse(value);
+  }
+  
+  if (!fs.existsSync(value)) {
+    throw new Error(`Vulnerability policy file not found: ${value}`);
+  }
+  
+  core.info(`Using vulnerability policy file: ${value}`);
+  return JSON.parse(fs.readFileSync(value, 'utf8'));
+}
+
+/**
+ * Merge the default policy with the policy of the detected flow
+ */
+function resolveFlowPolicy(policy, flowType) {
+  const base = policy.default || {};
+  const flows = policy.flows || {};
+  const override = flows[flowType] || {};
+  
+  const resolved = {
+    max: { ...(base.max || {}), ...(override.max || {}) },
+    onlyNew: Boolean(override['only-new'] ?? base['only-new'] ?? false),
+    onlyFixable: Boolean(override['only-fixable'] ?? base['only-fixable'] ?? false),
+    source: flows[flowType] ? `flows.${flowType}` : 'default'
+  };
+  
+  Object.keys(resolved.max).forEach(severity => {
+    if (!SEVERITIES.includes(severity.toLowerCase())) {
+      throw new Error(`Unknown severity "${severity}" in vulnerability policy`);
+    }
+    if (resolved.max[severity] === null) {
+      delete resolved.max[severity];
+    } else if (!Number.isInteger(resolved.max[severity]) || resolved.max[severity] < 0) {
+      throw new Error(`Invalid max ${JSON.stringify(resolved.max[severity])} for "${severity}" in vulnerability policy (expected a non-negative integer or null)`);
+    }
+  });
+  
+  return resolved;
+}
+
+/**
+ * Extract findings from Trivy results
+ */
+function extractFindings(results) {
+  const findings = [];
+  
+  if (results.Results && Array.isArray(results.Results)) {
+    results.Results.forEach(result => {
+      if (result.Vulnerabilities && Array.isArray(result.Vulnerabilities)) {
+        result.Vulnerabilities.forEach(vuln => {
+          findings.push({
+            id: vuln.VulnerabilityID || 'UNKNOWN',
+            package: vuln.PkgName || 'unknown',
+            version: vuln.InstalledVersion || '',
+            severity: (vuln.Severity || 'UNKNOWN').toUpperCase(),
+            title: vuln.Title || '',
+            fixedVersion: vuln.FixedVersion || ''
+          });
+        });
+      }
+    });
+  }
+  
+  return findings;
+}
+
+/**
+ * Collect findings in scope for the resolved flow policy
+ */
+function collectFindings(flowPolicy) {
+  if (flowPolicy.onlyNew) {
+    if (fs.existsSync('trivy-comparison.json')) {
+      const comparison = JSON.parse(fs.readFileSync('trivy-comparison.json', 'utf8'));
+      
+      if (comparison.comparison_available) {
+        core.info('Evaluating new vulnerabilities from comparison report');
+        
+        // A finding re-rated to a higher severity is new at that severity
+        const escalated = ((comparison.severity_changed || {}).vulnerabilities || [])
+          .filter(vuln => severityRank(vuln.severity) < severityRank(vuln.previousSeverity));
+        
+        // Exceptions were already applied by the comparison
+        const suppressed = comparison.suppressed ? comparison.suppressed.total : 0;
+        return { findings: [...comparison.new.vulnerabilities, ...escalated], scope: 'new', suppressed: suppressed };
+      }
+    }
+    
+    core.warning('⚠️  Comparison report not available, evaluating all vulnerabilities');
+  }
+  
+  if (!fs.existsSync('trivy-image-results.json')) {
+    return null;
+  }
+  
+  const { results, suppressed } = applyExceptions(
+    JSON.parse(fs.readFileSync('trivy-image-results.json', 'utf8')),
+    loadExceptionStatus(process.env.VULNERABILITY_EXCEPTIONS || '', core)
+  );
+  return { findings: extractFindings(results), scope: 'all', suppressed: suppressed.length };
+}
+
+/**
+ * Write gate results and set outputs
+ */
+function writeGateResults(gate) {
+  fs.writeFileSync('trivy-gate-results.json', JSON.stringify(gate, null, 2));
+  
+  core.setOutput('passed', gate.passed.toString());
+  core.setOutput('violations', gate.violations.length.toString());
+  core.setOutput('flow', gate.flow);
+}
+
+/**
+ * Evaluate vulnerability gate for the current build
+ */
+function evaluateVulnerabilityGate() {
+  const flowType = process.env.BUILD_FLOW_TYPE || 'wip';
+  const policyInput = process.env.VULNERABILITY_POLICY || '';
+  const trivySeverity = process.env.TRIVY_SEVERITY || 'HIGH,CRITICAL';
+  
+  let gate;
+  
+  try {
+    core.info('🚦 Evaluating vulnerability gate...');
+    core.info(`  Flow: ${flowType}`);
+    
+    const policy = loadPolicy(policyInput, trivySeverity);
+    const flowPolicy = resolveFlowPolicy(policy, flowType);
+    
+    core.info(`  Policy: ${flowPolicy.source}`);
+    
+    const collected = collectFindings(flowPolicy);
+    
+    if (!collected) {
+      core.warning('⚠️  Scan results not found, skipping vulnerability gate');
+      
+      writeGateResults({
+        evaluated: false,
+        passed: true,
+        flow: flowType,
+        message: 'Scan results not available',
+        violations: []
+      });
+      return;
+    }
+    
+    // Apply fixable filter
+    let findings = collected.findings;
+    if (flowPolicy.onlyFixable) {
+      findings = findings.filter(finding => finding.fixedVersion);
+    }
+    
+    // Evaluate each severity limit as its own rule
+    const rules = [];
+    const violations = [];
+    
+    Object.entries(flowPolicy.max).forEach(([severity, max]) => {
+      const matching = findings.filter(finding => finding.severity.toLowerCase() === severity.toLowerCase());
+      const qualifiers = [collected.scope === 'new' ? 'new' : null, flowPolicy.onlyFixable ? 'fixable' : null].filter(Boolean);
+      const rule = {
+        name: `${flowPolicy.source}: ${severity.toUpperCase()} <= ${max}${qualifiers.length > 0 ? ` (${qualifiers.join(', ')})` : ''}`,
+        severity: severity.toUpperCase(),
+        max: max,
+        count: matching.length,
+        passed: matching.length <= max
+      };
+      
+      rules.push(rule);
+      
+      if (!rule.passed) {
+        violations.push({ ...rule, findings: matching });
+      }
+    });
+    
+    gate = {
+      evaluated: true,
+      passed: violations.length === 0,
+      flow: flowType,
+      policy: flowPolicy.source,
+      scope: collected.scope,
+      only_fixable: flowPolicy.onlyFixable,
+      suppressed: collected.suppressed,
+      rules: rules,
+      violations: violations
+    };
+    
+    writeGateResults(gate);
+    
+    // Log verdict
+    rules.forEach(rule => {
+      core.info(`  ${rule.passed ? '✅' : '❌'} ${rule.name} — found ${rule.count}`);
+    });
+    
+    if (collected.suppressed > 0) {
+      core.info(`  🙈 ${collected.suppressed} finding(s) suppressed by vulnerability exceptions`);
+    }
+    
+    violations.forEach(violation => {
+      core.startGroup(`❌ Rule "${violation.name}" broken by ${violation.count} finding(s)`);
+      violation.findings.forEach(finding => {
+        const fix = finding.fixedVersion ? ` (fixed in ${finding.fixedVersion})` : '';
+        core.info(`  - ${finding.id} in ${finding.package}@${finding.version}${fix}`);
+      });
+      core.endGroup();
+    });
+  } catch (error) {
+    core.error(`❌ Failed to evaluate vulnerability gate: ${error.message}`);
+    
+    writeGateResults({
+      evaluated: false,
+      passed: false,
+      flow: flowType,
+      message: `Error: ${error.message}`,
+      violations: []
+    });
+    return;
+  }
+  
+  if (gate.passed) {
+    core.info('✅ Vulnerability gate passed');
+  } else {
+    core.warning(`⚠️  ${gate.violations.length} vulnerability policy rule(s) violated`);
+  }
+}
+
+// Execute
+evaluateVulnerabilityGate();
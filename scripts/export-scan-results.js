@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+/**
+ * Export Scan Results Script
+ * ==========================
+ * Exports the findings of every scan as JUnit XML, CSV and markdown reports
+ *
+ * This script runs after the vulnerability gate so the exports reflect the
+ * final verdict. Findings of the image, source code and Dockerfile scans are
+ * flattened into one list; vulnerabilities covered by an unexpired exception
+ * are kept with the status "suppressed".
+ *
+ * Formats:
+ *   - junit    : One test suite per scan and one test case per finding. An image
+ *                finding fails when it broke a vulnerability gate rule, so the
+ *                failures match the gate verdict; suppressed findings are skipped.
+ *   - csv      : Flat list of findings, one row per finding (with the platforms of
+ *                multi-platform image findings)
+ *   - markdown : The security section of the PR comment with all vulnerability details
+ *
+ * Environment Variables:
+ *   SCAN_REPORT_FORMATS     : Comma-separated formats to generate (junit, csv, markdown)
+ *   PRE_BUILD_SCAN_ENABLED  : Include pre-build scans in the markdown report
+ *   IMAGE_SCAN_ENABLED      : Include the image scan in the markdown report
+ *   ENABLE_IMAGE_COMPARISON : Include the baseline comparison in the markdown report
+ *   DOCKERFILE              : Dockerfile path, linked from misconfigurations in the markdown report
+ *   RESOLVED_SHA            : Commit SHA the Dockerfile links point to (defaults to GITHUB_SHA)
+ *
+ * Input:
+ *   - trivy-image-results.json, trivy-source-results.json, trivy-dockerfile-results.json
+ *   - trivy-scan-summary.json: Summary with exception status
+ *   - trivy-gate-results.json: Gate verdict with the findings of violated rules, used for JUnit failures
+ *   - trivy-comparison.json: Comparison report (markdown only)
+ *   - trivy-misconfigurations.json, trivy-source-dependencies.json: Pre-build findings compared with the base branch (markdown only)
+ *
+ * Output:
+ *   - trivy-results.junit.xml, trivy-results.csv, trivy-security-report.md
+ *   - GitHub Actions outputs: files (generated files, newline-separated)
+ */
+
+const fs = require('fs');
+const core = require('@actions/core');
+const { renderWithinBudget } = require('./vulnerability-details');
+const { applyExceptions } = require('./vulnerability-exceptions');
+const { DETAILS_PLACEHOLDER, loadScanResults, renderSecuritySection } = require('./security-report');
+
+const SCANS = {
+  image: 'trivy-image-results.json',
+  source: 'trivy-source-results.json',
+  dockerfile: 'trivy-dockerfile-results.json'
+};
+
+const FORMATS = {
+  junit: 'trivy-results.junit.xml',
+  csv: 'trivy-results.csv',
+  markdown: 'trivy-security-report.md'
+};
+
+const CSV_COLUMNS = ['scan', 'type', 'target', 'id', 'package', 'installed_version', 'fixed_version', 'severity', 'title', 'status', 'url', 'platforms'];
+
+/**
+ * Parse the requested formats
+ */
+function parseFormats(value) {
+  const formats = value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  
+  formats.forEach(format => {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown report format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+  });
+  
+  return [...new Set(formats)];
+}
+
+/**
+ * Flatten the findings of one scan
+ */
+function extractFindings(scan, results, exceptions) {
+  const findings = [];
+  const { results: filtered, suppressed } = applyExceptions(results, exceptions);
+  const targets = filtered && Array.isArray(filtered.Results) ? filtered.Results : [];
+  
+  targets.forEach(result => {
+    const target = result.Target || 'unknown';
+    
+    (result.Vulnerabilities || []).forEach(vuln => {
+      findings.push({
+        scan: scan,
+        type: 'vulnerability',
+        target: target,
+        id: vuln.VulnerabilityID || 'UNKNOWN',
+        package: vuln.PkgName || '',
+        version: vuln.InstalledVersion || '',
+        fixedVersion: vuln.FixedVersion || '',
+        severity: (vuln.Severity || 'UNKNOWN').toUpperCase(),
+        title: vuln.Title || '',
+        status: 'open',
+        url: vuln.PrimaryURL || '',
+        platforms: vuln.Platforms || []
+      });
+    });
+    
+    (result.Misconfigurations || []).forEach(misconfig => {
+      // Misconfiguration results may include passed checks
+      if (misconfig.Status === 'PASS') {
+        return;
+      }
+      findings.push({
+        scan: scan,
+        type: 'misconfiguration',
+        target: target,
+        id: misconfig.AVDID || misconfig.ID || 'UNKNOWN',
+        package: '',
+        version: '',
+        fixedVersion: '',
+        severity: (misconfig.Severity || 'UNKNOWN').toUpperCase(),
+        title: misconfig.Title || misconfig.Message || '',
+        status: 'open',
+        url: misconfig.PrimaryURL || ''
+      });
+    });
+    
+    (result.Secrets || []).forEach(secret => {
+      findings.push({
+        scan: scan,
+        type: 'secret',
+        target: target,
+        id: secret.RuleID || 'UNKNOWN',
+        package: '',
+        version: '',
+        fixedVersion: '',
+        severity: (secret.Severity || 'UNKNOWN').toUpperCase(),
+        title: secret.Title || '',
+        status: 'open',
+        url: ''
+      });
+    });
+    
+    (result.Licenses || []).forEach(license => {
+      findings.push({
+        scan: scan,
+        type: 'license',
+        target: target,
+        id: license.Name || 'UNKNOWN',
+        package: license.PkgName || '',
+        version: '',
+        fixedVersion: '',
+        severity: (license.Severity || 'UNKNOWN').toUpperCase(),
+        title: license.Category || '',
+        status: 'open',
+        url: license.Link || ''
+      });
+    });
+  });
+  
+  suppressed.forEach(finding => {
+    const exception = exceptions[finding.exception];
+    findings.push({
+      scan: scan,
+      type: 'vulnerability',
+      target: finding.target,
+      id: finding.id,
+      package: finding.package,
+      version: finding.version,
+      fixedVersion: '',
+      severity: finding.severity,
+      title: `Suppressed until ${exception.expires}: ${exception.reason}`,
+      status: 'suppressed',
+      url: exception.ticket
+    });
+  });
+  
+  return findings;
+}
+
+/**
+ * Key matching an image finding to the findings of a gate violation
+ */
+function getViolationKey(finding) {
+  return `${finding.id}|${finding.package}|${finding.version}`;
+}
+
+/**
+ * Read the image findings that broke a vulnerability gate rule
+ *
+ * The gate already applied its scope (only-new, only-fixable) and limits,
+ * so exactly these findings fail.
+ *
+ * @returns {Set} Violation keys, empty when the gate passed or was not evaluated
+ */
+function readGateViolations() {
+  const keys = new Set();
+  
+  if (fs.existsSync('trivy-gate-results.json')) {
+    try {
+      const gate = JSON.parse(fs.readFileSync('trivy-gate-results.json', 'utf8'));
+      if (gate.evaluated) {
+        (gate.violations || []).forEach(violation => {
+          (violation.findings || []).forEach(finding => keys.add(getViolationKey(finding)));
+        });
+        return keys;
+      }
+    } catch (error) {
+      core.warning(`⚠️  Failed to parse trivy-gate-results.json: ${error.message}`);
+    }
+  }
+  
+  core.info('  Gate results not available, no JUnit failures');
+  return keys;
+}
+
+/**
+ * Escape a value for XML attributes and text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render findings as JUnit XML
+ */
+function renderJunit(findings, scans, violations) {
+  const suites = Object.keys(scans).map(scan => {
+    const cases = findings.filter(finding => finding.scan === scan).map(finding => {
+      const subject = finding.package ? `${finding.package}${finding.version ? `@${finding.version}` : ''}` : finding.target;
+      const message = `${finding.severity} ${finding.type} ${finding.id} in ${subject}`;
+      let body = '';
+      
+      if (finding.status === 'suppressed') {
+        body = `\n      <skipped message="${escapeXml(finding.title)}"/>\n    `;
+      } else if (scan === 'image' && finding.type === 'vulnerability' && violations.has(getViolationKey(finding))) {
+        const details = [finding.title, finding.fixedVersion ? `Fixed in: ${finding.fixedVersion}` : '', finding.url].filter(Boolean).join('\n');
+        body = `\n      <failure message="${escapeXml(message)}" type="${escapeXml(finding.severity)}">${escapeXml(details)}</failure>\n    `;
+      }
+      
+      return {
+        failed: body.includes('<failure'),
+        skipped: finding.status === 'suppressed',
+        xml: `    <testcase classname="${escapeXml(`trivy.${scan}.${finding.type}`)}" name="${escapeXml(`${finding.id} ${subject}`)}">${body}</testcase>`
+      };
+    });
+    
+    const failures = cases.filter(testCase => testCase.failed).length;
+    const skipped = cases.filter(testCase => testCase.skipped).length;
+    return {
+      tests: cases.length,
+      failures: failures,
+      skipped: skipped,
+      xml: `  <testsuite name="${escapeXml(`trivy-${scan}`)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}">\n` +
+        cases.map(testCase => `${testCase.xml}\n`).join('') +
+        '  </testsuite>'
+    };
+  });
+  
+  const sum = key => suites.reduce((total, suite) => total + suite[key], 0);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="Trivy Security Scan" tests="${sum('tests')}" failures="${sum('failures')}" errors="0" skipped="${sum('skipped')}">\n` +
+    suites.map(suite => `${suite.xml}\n`).join('') +
+    '</testsuites>\n';
+}
+
+/**
+ * Escape a value for CSV
+ */
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render findings as CSV
+ */
+function renderCsv(findings) {
+  const rows = findings.map(finding => [
+    finding.scan,
+    finding.type,
+    finding.target,
+    finding.id,
+    finding.package,
+    finding.version,
+    finding.fixedVersion,
+    finding.severity,
+    finding.title,
+    finding.status,
+    finding.url,
+    (finding.platforms || []).join(' ')
+  ].map(escapeCsv).join(','));
+  
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Render the security section of the PR comment with all vulnerability details
+ */
+function renderMarkdown() {
+  const repository = `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${process.env.GITHUB_REPOSITORY || ''}`;
+  const sha = process.env.RESOLVED_SHA || process.env.GITHUB_SHA || 'HEAD';
+  const section = renderSecuritySection(loadScanResults(), {
+    preBuildScan: process.env.PRE_BUILD_SCAN_ENABLED !== 'false',
+    imageScan: process.env.IMAGE_SCAN_ENABLED !== 'false',
+    comparison: process.env.ENABLE_IMAGE_COMPARISON === 'true',
+    securityTabUrl: `${repository}/security/code-scanning`,
+    dockerfileUrl: `${repository}/blob/${sha}/${(process.env.DOCKERFILE || 'Dockerfile').replace(/^\.\//, '')}`
+  });
+  
+  // No size limit applies, so every vulnerability is listed in full
+  const details = '<details>\n<summary>📋 View Vulnerability Details</summary>\n\n' +
+    renderWithinBudget(section.findings, Infinity).markdown +
+    '\n</details>\n\n';
+  
+  return section.markdown.replace(/^\n---\n\n/, '').split(DETAILS_PLACEHOLDER).join(details);
+}
+
+/**
+ * Export scan results in the requested formats
+ */
+function exportScanResults() {
+  try {
+    const formats = parseFormats(process.env.SCAN_REPORT_FORMATS || '');
+    
+    if (formats.length === 0) {
+      core.info('No scan report formats requested, skipping export');
+      core.setOutput('files', '');
+      return;
+    }
+    
+    core.info(`📤 Exporting scan results: ${formats.join(', ')}`);
+    
+    const summary = fs.existsSync('trivy-scan-summary.json') ? JSON.parse(fs.readFileSync('trivy-scan-summary.json', 'utf8')) : null;
+    const exceptions = summary && Array.isArray(summary.exceptions) ? summary.exceptions : [];
+    
+    // Only scans that produced results are exported
+    const scans = {};
+    const findings = [];
+    Object.entries(SCANS).forEach(([name, file]) => {
+      if (!fs.existsSync(file)) {
+        return;
+      }
+      try {
+        findings.push(...extractFindings(name, JSON.parse(fs.readFileSync(file, 'utf8')), exceptions));
+        scans[name] = file;
+      } catch (error) {
+        core.warning(`⚠️  Failed to parse ${file}: ${error.message}`);
+      }
+    });
+    
+    const files = [];
+    
+    if (formats.includes('junit')) {
+      fs.writeFileSync(FORMATS.junit, renderJunit(findings, scans, readGateViolations()));
+      files.push(FORMATS.junit);
+    }
+    
+    if (formats.includes('csv')) {
+      fs.writeFileSync(FORMATS.csv, renderCsv(findings));
+      files.push(FORMATS.csv);
+    }
+    
+    if (formats.includes('markdown')) {
+      fs.writeFileSync(FORMATS.markdown, renderMarkdown());
+      files.push(FORMATS.markdown);
+    }
+    
+    core.setOutput('files', files.join('\n'));
+    
+    core.info(`✅ Exported ${findings.length} finding(s) from ${Object.keys(scans).length} scan(s):`);
+    files.forEach(file => core.info(`  ${file}`));
+  
+  } catch (error) {
+    core.error(`❌ Failed to export scan results: ${error.message}`);
+    core.setOutput('files', '');
+    
+    // Don't fail the action, just log the error
+    core.warning('Continuing despite export error...');
+  }
+}
+
+// Execute
+exportScanResults();
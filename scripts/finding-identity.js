@@ -0,0 +1,40 @@
+/**
+ * Finding Identity
+ * ================
+ * Identifies vulnerability findings across scans of different images
+ *
+ * The vulnerability comparison and the build history have to agree on
+ * whether two scans contain the same finding. A finding is the same when its
+ * target, package, installed version and vulnerability ID match. OS package
+ * targets embed the scanned image reference (e.g.
+ * "myorg/app:pr-abc1234 (alpine 3.19.1)"), which differs on every build, so
+ * they are reduced to the package type.
+ */
+
+/**
+ * Normalize a Trivy target so it is stable across images
+ *
+ * @param {object} result - Trivy result (Target, Class, Type)
+ * @returns {string} Target, or "os-pkgs:<type>" for OS packages
+ */
+function normalizeTarget(result) {
+  if (result.Class === 'os-pkgs') {
+    return `os-pkgs:${result.Type || 'unknown'}`;
+  }
+  return result.Target || 'unknown';
+}
+
+/**
+ * Key identifying a finding on a specific package version
+ *
+ * @param {{target: string, package: string, version: string, id: string}} finding - Finding with a normalized target
+ * @returns {string} Key shared by the comparison report and the build history
+ */
+function getFindingKey(finding) {
+  return `${finding.target}|${finding.package}|${finding.version}|${finding.id}`;
+}
+
+module.exports = {
+  normalizeTarget,
+  getFindingKey
+};
@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+/**
+ * Flow Rules
+ * ==========
+ * Maps events and branches to build flows, and holds flow metadata
+ *
+ * Rules are matched in order; the first rule whose event, base branch and
+ * head branch patterns match the current context selects the flow. Custom
+ * rules are evaluated before the built-in rules, which reproduce the
+ * default pr/dev/patch/staging/wip detection, map semantic version tag
+ * pushes to the release flow, and end with a catch-all.
+ *
+ * Config format (JSON, inline or file path):
+ *   {
+ *     "rules": [
+ *       { "event": "push", "head": "release/*", "flow": "release" },
+ *       { "event": "pull_request", "head": ["hotfix/*", "fix/*"], "flow": "patch" }
+ *     ],
+ *     "flows": {
+ *       "release": {
+ *         "tag": "rc-{branch}-{sha}",
+ *         "emoji": "🏁",
+ *         "title": "Release Candidate",
+ *         "description": "Release branch build",
+ *         "color": "#6f42c1"
+ *       }
+ *     }
+ *   }
+ *
+ *   Rule fields:
+ *     - event : pull_request, push or * (string or list; pull_request_target counts as pull_request)
+ *     - base  : Glob pattern(s) for the PR target branch
+ *     - head  : Glob pattern(s) for the PR source branch or the pushed branch
+ *     - tag   : Glob pattern(s) for the pushed git tag
+ *     - semver: Only match git tags that are semantic versions (v1.2.3, 1.2.3-rc.1)
+ *     - flow  : Flow name selected by the rule
+ *     - label : Optional description logged when the rule matches
+ *
+ *   Patterns support * (within a path segment), ** (across segments) and ?.
+ *
+ *   Flow fields:
+ *     - tag      : Primary tag template (immutable, used in pull commands)
+ *     - tags     : Additional immutable tag templates
+ *     - floating : Tag templates that move with every build (e.g. "{flow}-latest");
+ *                  skipped for pre-release versions, so a pre-release never moves `latest`,
+ *                  and for releases older than one already tagged in the tag's range:
+ *                  `latest` only moves for the highest release, `{major}` for the
+ *                  highest release of that major version, and so on
+ *     - baseline : Flow whose latest image is the comparison baseline, or false to
+ *                  compare against stored scan results only (defaults to the flow
+ *                  built by pushes to the target branch)
+ *     - emoji, title, description, color : PR comment and job summary metadata
+ *
+ *   Tag placeholders: {flow}, {sha}, {branch}, {base}, {pr}, {timestamp},
+ *                     {version}, {major}, {minor}, {patch}, {prerelease}
+ *
+ *   A tag is skipped when one of its placeholders is empty for the current
+ *   build (e.g. {pr} on a push event).
+ *
+ * Usage:
+ *   As a module: require('./flow-rules') for loadFlowConfig() and matchRule()
+ *   As a script: node flow-rules.js
+ *     Prints the matched flow, the rule label, the release version (empty
+ *     when not a release) and the rendered tags as "<immutable|floating> <tag>",
+ *     one per line, for detect-build-flow.sh. The first tag is the primary tag.
+ *
+ * Environment Variables (script usage):
+ *   FLOW_RULES        : Inline JSON config or path to a JSON file
+ *   MAIN_BRANCH       : Main branch used by the built-in rules
+ *   DEV_BRANCH        : Dev branch used by the built-in rules
+ *   SHORT_SHA         : Short commit SHA for the {sha} placeholder
+ *
+ *   Releases list the semantic version tags of the origin remote
+ *   (git ls-remote) to decide which floating tags they move.
+ *   GITHUB_EVENT_NAME, GITHUB_REF, GITHUB_BASE_REF, GITHUB_HEAD_REF
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_TAG = '{flow}-{sha}';
+
+// Semantic version with optional "v" prefix, pre-release and build metadata
+const SEMVER_PATTERN = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+const BUILTIN_FLOWS = {
+  pr: {
+    tag: DEFAULT_TAG,
+    emoji: '🔧',
+    title: 'PR Build',
+    description: 'Feature development and testing',
+    color: '#0366d6'
+  },
+  dev: {
+    tag: DEFAULT_TAG,
+    emoji: '🛠️',
+    title: 'Dev Build',
+    description: 'Development and testing',
+    color: '#28a745'
+  },
+  patch: {
+    tag: DEFAULT_TAG,
+    emoji: '🔥',
+    title: 'Patch Build',
+    description: 'Hotfix for production',
+    color: '#d73a49'
+  },
+  wip: {
+    tag: DEFAULT_TAG,
+    // WIP images come from any branch, so none of them is a meaningful baseline
+    baseline: false,
+    emoji: '⚡',
+    title: 'WIP Build',
+    description: 'Work in progress experiment',
+    color: '#ffd33d'
+  },
+  staging: {
+    tag: DEFAULT_TAG,
+    emoji: '🚀',
+    title: 'Staging Build',
+    description: 'Pre-production validation',
+    color: '#ffd700'
+  },
+  release: {
+    tag: '{version}',
+    floating: ['{major}.{minor}', '{major}', 'latest'],
+    emoji: '🎉',
+    title: 'Release Build',
+    description: 'Versioned release from a git tag',
+    color: '#6f42c1'
+  }
+};
+
+/**
+ * Built-in rules equivalent to the default flow detection
+ */
+function builtinRules(mainBranch, devBranch) {
+  return [
+    { event: 'pull_request', base: devBranch, flow: 'pr', label: 'PR to dev branch' },
+    { event: 'pull_request', base: mainBranch, head: devBranch, flow: 'dev', label: 'Dev to main promotion' },
+    { event: 'pull_request', base: mainBranch, flow: 'patch', label: 'Patch to main (hotfix)' },
+    { event: 'pull_request', flow: 'wip', label: 'Work in progress (non-standard PR)' },
+    { event: 'push', head: devBranch, flow: 'dev', label: 'Push to dev branch' },
+    { event: 'push', head: mainBranch, flow: 'staging', label: 'Push to main branch (staging)' },
+    { event: 'push', tag: '**', semver: true, flow: 'release', label: 'Release tag push' },
+    { event: 'push', tag: '**', flow: 'wip', label: 'Non-release tag push' },
+    { event: 'push', flow: 'wip', label: 'Work in progress branch push' },
+    { event: '*', flow: 'wip', label: 'Unrecognized event type, using WIP' }
+  ];
+}
+
+/**
+ * Convert a branch glob pattern to a regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check a value against one or more patterns (absent patterns match anything)
+ */
+function matchesAny(patterns, value) {
+  if (patterns === undefined || patterns === null) {
+    return true;
+  }
+  if (!value) {
+    return false;
+  }
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.some(pattern => globToRegExp(String(pattern)).test(value || ''));
+}
+
+/**
+ * Parse a semantic version from a git tag name
+ *
+ * @returns {object|null} { version, major, minor, patch, prerelease } or null
+ */
+function parseSemver(tagName) {
+  const match = (tagName || '').match(SEMVER_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  const [, major, minor, patch, prerelease = ''] = match;
+  return {
+    version: `${major}.${minor}.${patch}${prerelease ? `-${prerelease}` : ''}`,
+    major,
+    minor,
+    patch,
+    prerelease
+  };
+}
+
+/**
+ * Compare two versions parsed by parseSemver() by major, minor and patch
+ */
+function compareSemver(a, b) {
+  return (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch);
+}
+
+/**
+ * List the stable releases tagged in the origin remote
+ *
+ * @returns {Array|null} Versions parsed by parseSemver(), null when the tags cannot be listed
+ */
+function listReleasedVersions() {
+  try {
+    const output = execFileSync('git', ['ls-remote', '--tags', '--refs', 'origin'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    return output
+      .split('\n')
+      .map(line => parseSemver(line.replace(/^.*\trefs\/tags\//, '')))
+      .filter(version => version && !version.prerelease);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load the flow config and merge it with the built-in rules and flows
+ *
+ * @param {string} input - Inline JSON config, path to a JSON file, or empty
+ * @param {object} options - { mainBranch, devBranch } for the built-in rules
+ * @returns {{rules: Array, flows: object}} Rules in match order and metadata per flow
+ */
+function loadFlowConfig(input, options = {}) {
+  const value = (input || '').trim();
+  let config = {};
+  
+  if (value.startsWith('{')) {
+    config = JSON.parse(value);
+  } else if (value) {
+    if (!fs.existsSync(value)) {
+      throw new Error(`Flow rules file not found: ${value}`);
+    }
+    config = JSON.parse(fs.readFileSync(value, 'utf8'));
+  }
+  
+  const flows = {};
+  Object.entries(BUILTIN_FLOWS).forEach(([name, flow]) => {
+    flows[name] = { ...flow };
+  });
+  
+  Object.entries(config.flows || {}).forEach(([name, flow]) => {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      throw new Error(`Invalid flow name "${name}" (use lowercase letters, digits and hyphens)`);
+    }
+    const base = flows[name] || {
+      tag: DEFAULT_TAG,
+      emoji: '📦',
+      title: `${name.charAt(0).toUpperCase()}${name.slice(1)} Build`,
+      description: `${name} flow`,
+      color: '#6a737d'
+    };
+    flows[name] = { ...base, ...flow };
+  });
+  
+  const customRules = config.rules || [];
+  if (!Array.isArray(customRules)) {
+    throw new Error('Flow rules "rules" must be a list');
+  }
+  
+  customRules.forEach((rule, index) => {
+    if (!rule.flow) {
+      throw new Error(`Flow rule ${index + 1} has no flow`);
+    }
+    if (!flows[rule.flow]) {
+      throw new Error(`Flow rule ${index + 1} references unknown flow "${rule.flow}"`);
+    }
+  });
+  
+  Object.entries(flows).forEach(([name, flow]) => {
+    if (flow.baseline !== undefined && flow.baseline !== false && !flows[flow.baseline]) {
+      throw new Error(`Flow "${name}" uses unknown baseline flow "${flow.baseline}"`);
+    }
+  });
+  
+  const rules = [
+    ...customRules.map((rule, index) => ({ label: `Custom rule ${index + 1}`, ...rule })),
+    ...builtinRules(options.mainBranch || 'main', options.devBranch || 'dev')
+  ];
+  
+  return { rules, flows };
+}
+
+/**
+ * Find the first rule matching the event and branches
+ *
+ * @param {Array} rules - Rules in match order
+ * @param {object} context - { event, base, head, tag }
+ * @returns {object|null} Matching rule
+ */
+function matchRule(rules, context) {
+  const event = context.event === 'pull_request_target' ? 'pull_request' : context.event;
+  
+  return rules.find(rule => {
+    const events = rule.event === undefined ? ['*'] : [].concat(rule.event);
+    const eventMatches = events.includes('*') || events.includes(event);
+    const semverMatches = !rule.semver || parseSemver(context.tag) !== null;
+    return eventMatches && semverMatches &&
+      matchesAny(rule.base, context.base) &&
+      matchesAny(rule.head, context.head) &&
+      matchesAny(rule.tag, context.tag);
+  }) || null;
+}
+
+/**
+ * Sanitize a value for use in an image tag
+ */
+function sanitizeTagValue(value) {
+  return String(value || '').replace(/[^a-zA-Z0-9._-]/g, '-').replace(/-{2,}/g, '-').toLowerCase();
+}
+
+/**
+ * Render a flow's tag template
+ *
+ * @returns {string} Rendered tag, or '' when a placeholder has no value
+ */
+function renderTag(template, values) {
+  let missing = false;
+  const tag = template.replace(/{(flow|sha|branch|base|pr|timestamp|version|major|minor|patch|prerelease)}/g, (match, key) => {
+    const value = sanitizeTagValue(values[key]);
+    missing = missing || !value;
+    return value;
+  });
+  return missing ? '' : tag.replace(/^[.-]+/, '').substring(0, 128);
+}
+
+/**
+ * Check whether a floating tag template may move to a release
+ *
+ * The version placeholders of the template define its range: a template
+ * without any (e.g. "latest") covers every release, "{major}" covers the
+ * releases of that major version and "{major}.{minor}" those of that minor
+ * version. The tag moves unless a higher release in its range was tagged.
+ */
+function movesFloatingTag(template, values, released) {
+  if (!values.version || /{(version|patch|prerelease)}/.test(template)) {
+    return true;
+  }
+  
+  const inRange = version => (!template.includes('{major}') || version.major === values.major) &&
+    (!template.includes('{minor}') || version.minor === values.minor);
+  return !released.some(version => inRange(version) && compareSemver(version, values) > 0);
+}
+
+/**
+ * Render every tag of a flow, primary tag first
+ *
+ * Floating tags are skipped for pre-releases so they never move stable tags,
+ * and for releases older than a tagged release in the tag's range.
+ *
+ * @param {object} flow - Flow with tag, tags and floating templates
+ * @param {object} values - Placeholder values
+ * @param {Array} released - Stable releases from listReleasedVersions()
+ * @returns {Array} [{ tag, floating }] without duplicates
+ */
+function renderFlowTags(flow, values, released = []) {
+  const templates = [flow.tag || DEFAULT_TAG, ...(flow.tags || [])]
+    .map(template => ({ template, floating: false }));
+  if (!values.prerelease) {
+    templates.push(...(flow.floating || [])
+      .filter(template => movesFloatingTag(template, values, released))
+      .map(template => ({ template, floating: true })));
+  }
+  
+  const seen = new Set();
+  return templates
+    .map(({ template, floating }) => ({ tag: renderTag(template, values), floating }))
+    .filter(({ tag }) => tag && !seen.has(tag) && seen.add(tag));
+}
+
+/**
+ * Resolve the flow for the current GitHub Actions context and print it
+ */
+function resolveFlowFromEnvironment() {
+  const event = process.env.GITHUB_EVENT_NAME || '';
+  const ref = process.env.GITHUB_REF || '';
+  const isPullRequest = event === 'pull_request' || event === 'pull_request_target';
+  
+  const context = {
+    event: event,
+    base: isPullRequest ? process.env.GITHUB_BASE_REF || '' : '',
+    head: isPullRequest ? process.env.GITHUB_HEAD_REF || '' : (ref.startsWith('refs/heads/') ? ref.replace(/^refs\/heads\//, '') : ''),
+    tag: !isPullRequest && ref.startsWith('refs/tags/') ? ref.replace(/^refs\/tags\//, '') : ''
+  };
+  
+  try {
+    const config = loadFlowConfig(process.env.FLOW_RULES, {
+      mainBranch: process.env.MAIN_BRANCH,
+      devBranch: process.env.DEV_BRANCH
+    });
+    
+    const rule = matchRule(config.rules, context);
+    const flow = config.flows[rule.flow];
+    const prMatch = ref.match(/^refs\/pull\/(\d+)\//);
+    const semver = parseSemver(context.tag) || {};
+    
+    let released = [];
+    if (semver.version && !semver.prerelease) {
+      released = listReleasedVersions();
+      if (!released) {
+        process.stderr.write('Could not list the release tags of origin, floating tags move with this release\n');
+        released = [];
+      }
+    }
+    
+    const tags = renderFlowTags(flow, {
+      flow: rule.flow,
+      sha: process.env.SHORT_SHA || '',
+      branch: context.head,
+      base: context.base,
+      pr: prMatch ? prMatch[1] : '',
+      timestamp: new Date().toISOString().replace(/[-:]|\.\d+Z$/g, '').replace('T', ''),
+      ...semver
+    }, released);
+    
+    if (tags.length === 0 || tags[0].floating) {
+      throw new Error(`Flow "${rule.flow}" produced no immutable tag (template: ${flow.tag})`);
+    }
+    
+    const lines = tags.map(({ tag, floating }) => `${floating ? 'floating' : 'immutable'} ${tag}`);
+    process.stdout.write(`${rule.flow}\n${rule.label}\n${semver.version || ''}\n${lines.join('\n')}\n`);
+  } catch (error) {
+    process.stderr.write(`Failed to resolve flow rules: ${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  BUILTIN_FLOWS,
+  loadFlowConfig,
+  matchRule,
+  parseSemver,
+  renderTag,
+  renderFlowTags
+};
+
+// Execute when run as a script
+if (require.main === module) {
+  resolveFlowFromEnvironment();
+}
@@ -5,19 +5,59 @@
  * Compares vulnerability scans between baseline and current images
  * 
  * This script reads Trivy scan results for both baseline and current images,
- * identifies new, fixed, and unchanged vulnerabilities, and generates a
- * comparison report.
+ * matches findings by target, package, installed version and vulnerability ID,
+ * and generates a comparison report with the following categories:
+ * 
+ *   - new              : Not present in the baseline for that package
+ *   - fixed            : No longer present for that package
+ *   - unchanged        : Same package version, severity and fix status
+ *   - severity_changed : Same package version, severity was re-rated
+ *   - version_bumped   : Package version changed but is still vulnerable
+ *   - fix_available    : Same package version, a fix has been published since
+ * 
+ * Vulnerabilities covered by an unexpired exception are removed from both
+ * scans before matching, so accepted risks show up in neither category.
+ * 
+ * The baseline is described by resolve-baseline.js. When it resolved to
+ * stored scan results, the results restored from the target branch are
+ * compared instead of a baseline image scan.
+ * 
+ * For multi-platform builds the current image results are the merged
+ * platform scans (see parse-trivy-results.js), so the baseline platform
+ * scans are merged the same way before matching. Otherwise findings of
+ * platforms the baseline scan did not cover would be reported as new.
+ * 
+ * Environment Variables:
+ *   VULNERABILITY_EXCEPTIONS : Inline JSON exceptions or path to a JSON file
+ *   BASELINE_SOURCE          : How the baseline was resolved (input, floating, recent, stored, none)
+ *   BASELINE_IMAGE           : Baseline image reference
+ *   BASELINE_TAG             : Tag the baseline image was resolved from
+ *   BASELINE_REASON          : Why the baseline was chosen
+ *   BASELINE_BRANCH          : Branch the stored scan results come from
+ *   BASELINE_PLATFORMS       : Scanned baseline platforms (comma-separated, multi-platform builds)
+ *   IMAGE_PLATFORMS          : Scanned current image platforms (comma-separated, multi-platform builds)
  * 
  * Input:
  *   - trivy-baseline-results.json: Baseline image scan results
+ *   - trivy-baseline-results-<platform>.json: Baseline scan results per platform
+ *   - .trivy-baseline/: Stored scan results of the target branch (stored baseline)
  *   - trivy-image-results.json: Current image scan results
  * 
  * Output:
- *   - trivy-comparison.json: Comparison report with new/fixed/unchanged vulnerabilities
+ *   - trivy-comparison.json: Comparison report grouped by category, the
+ *     baseline it was compared against, plus the findings suppressed by
+ *     exceptions in the current scan
  */
 
 const fs = require('fs');
 const core = require('@actions/core');
+const { loadExceptionStatus, applyExceptions } = require('./vulnerability-exceptions');
+const { createCounts, countSeverity } = require('./severity');
+const { normalizeTarget, getFindingKey } = require('./finding-identity');
+const { readPlatformScans, mergePlatformScans } = require('./platform-scans');
+
+// Written by the "Store Scan Results as Baseline" step of pushed branch builds
+const STORED_BASELINE_DIR = '.trivy-baseline';
 
 /**
  * Extract vulnerabilities from Trivy results
@@ -28,19 +68,22 @@ function extractVulnerabilities(results) {
   if (results.Results && Array.isArray(results.Results)) {
     results.Results.forEach(result => {
       if (result.Vulnerabilities && Array.isArray(result.Vulnerabilities)) {
+        const target = normalizeTarget(result);
+        
         result.Vulnerabilities.forEach(vuln => {
-          // Create unique key for vulnerability (CVE ID + Package)
-          const key = `${vuln.VulnerabilityID || 'UNKNOWN'}-${vuln.PkgName || 'unknown'}`;
-          
-          vulnerabilities.set(key, {
+          const vulnerability = {
             id: vuln.VulnerabilityID || 'UNKNOWN',
+            target: target,
             package: vuln.PkgName || 'unknown',
             version: vuln.InstalledVersion || '',
             severity: (vuln.Severity || 'UNKNOWN').toUpperCase(),
             title: vuln.Title || '',
             description: vuln.Description || '',
             fixedVersion: vuln.FixedVersion || ''
-          });
+          };
+          
+          // Create unique key for vulnerability (Target + Package + Version + CVE ID)
+          vulnerabilities.set(getFindingKey(vulnerability), vulnerability);
         });
       }
     });
@@ -50,45 +93,121 @@ function extractVulnerabilities(results) {
 }
 
 /**
- * Count vulnerabilities by severity
+ * Key identifying a finding on a package regardless of its version
  */
-function countBySeverity(vulnerabilities) {
-  const counts = {
-    critical: 0,
-    high: 0,
-    medium: 0,
-    low: 0,
-    unknown: 0,
-    total: 0
-  };
+function getPackageKey(vuln) {
+  return `${vuln.target}|${vuln.package}|${vuln.id}`;
+}
+
+/**
+ * Group vulnerabilities by package key
+ */
+function groupByPackage(vulnerabilities) {
+  const groups = new Map();
   
   vulnerabilities.forEach(vuln => {
-    const severity = vuln.severity.toLowerCase();
-    if (counts.hasOwnProperty(severity)) {
-      counts[severity]++;
-    } else {
-      counts.unknown++;
+    const key = getPackageKey(vuln);
+    if (!groups.has(key)) {
+      groups.set(key, []);
     }
-    counts.total++;
+    groups.get(key).push(vuln);
   });
   
+  return groups;
+}
+
+/**
+ * Count vulnerabilities by severity
+ */
+function countBySeverity(vulnerabilities) {
+  const counts = createCounts();
+  vulnerabilities.forEach(vuln => countSeverity(counts, vuln.severity));
   return counts;
 }
 
+/**
+ * Replace the baseline results with the merged baseline platform scans
+ *
+ * Keeps the single-platform baseline scan when fewer than two platforms
+ * could be scanned, and warns when the current results were merged anyway.
+ */
+function mergeBaselinePlatforms() {
+  const platformScans = readPlatformScans('trivy-baseline-results', process.env.BASELINE_PLATFORMS || '', core);
+  
+  if (platformScans.length > 1) {
+    fs.writeFileSync('trivy-baseline-results.json', JSON.stringify(mergePlatformScans(platformScans), null, 2));
+    core.info(`  Merged baseline scans of ${platformScans.map(entry => entry.platform).join(', ')}`);
+    return;
+  }
+  
+  const imagePlatforms = (process.env.IMAGE_PLATFORMS || '').split(',').filter(platform => platform.trim());
+  if (imagePlatforms.length > 1) {
+    core.warning('⚠️  Baseline was not scanned per platform, findings of other platforms may be reported as new');
+  }
+}
+
+/**
+ * Describe the baseline and locate its scan results
+ *
+ * @returns {{info: object, file: string}} Baseline description for the report and its results file
+ */
+function resolveBaselineResults() {
+  const info = {
+    source: process.env.BASELINE_SOURCE || '',
+    image: process.env.BASELINE_IMAGE || '',
+    tag: process.env.BASELINE_TAG || '',
+    reason: process.env.BASELINE_REASON || '',
+    branch: process.env.BASELINE_BRANCH || ''
+  };
+  
+  if (info.source !== 'stored') {
+    mergeBaselinePlatforms();
+    return { info, file: 'trivy-baseline-results.json' };
+  }
+  
+  const file = `${STORED_BASELINE_DIR}/trivy-image-results.json`;
+  if (!fs.existsSync(file)) {
+    // Nothing stored yet, e.g. before the first pushed build of the branch
+    info.source = 'none';
+    info.reason = `${info.reason}, and no scan results are stored for \`${info.branch}\` yet`;
+    return { info, file };
+  }
+  
+  // Stored results record which build produced them
+  const metadataFile = `${STORED_BASELINE_DIR}/baseline.json`;
+  if (fs.existsSync(metadataFile)) {
+    const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+    info.image = metadata.image || '';
+    info.commit = metadata.commit || '';
+    info.scanned_at = metadata.scanned_at || '';
+  }
+  
+  return { info, file };
+}
+
 /**
  * Generate comparison between baseline and current scans
  */
 function generateComparison() {
+  let baselineInfo = null;
+  
   try {
     core.info('🔍 Generating vulnerability comparison...');
     
+    const baseline = resolveBaselineResults();
+    baselineInfo = baseline.info;
+    if (baselineInfo.source) {
+      core.info(`  Baseline: ${baselineInfo.image || baselineInfo.branch || 'none'} (${baselineInfo.source})`);
+    }
+    
     // Check if required files exist
-    if (!fs.existsSync('trivy-baseline-results.json')) {
-      core.warning('⚠️  trivy-baseline-results.json not found, skipping comparison');
+    if (!fs.existsSync(baseline.file)) {
+      core.warning(`⚠️  ${baseline.file} not found, skipping comparison`);
       
       const emptyComparison = {
         comparison_available: false,
-        message: 'Baseline scan results not available'
+        message: 'Baseline scan results not available',
+        baseline: baselineInfo
       };
       
       fs.writeFileSync('trivy-comparison.json', JSON.stringify(emptyComparison, null, 2));
@@ -100,7 +219,8 @@ function generateComparison() {
       
       const emptyComparison = {
         comparison_available: false,
-        message: 'Current scan results not available'
+        message: 'Current scan results not available',
+        baseline: baselineInfo
       };
       
       fs.writeFileSync('trivy-comparison.json', JSON.stringify(emptyComparison, null, 2));
@@ -108,11 +228,14 @@ function generateComparison() {
     }
     
     // Read and parse results
-    const baselineContent = fs.readFileSync('trivy-baseline-results.json', 'utf8');
+    const baselineContent = fs.readFileSync(baseline.file, 'utf8');
     const currentContent = fs.readFileSync('trivy-image-results.json', 'utf8');
     
-    const baselineResults = JSON.parse(baselineContent);
-    const currentResults = JSON.parse(currentContent);
+    // Accepted risks are left out of both scans
+    const exceptions = loadExceptionStatus(process.env.VULNERABILITY_EXCEPTIONS || '', core);
+    
+    const baselineResults = applyExceptions(JSON.parse(baselineContent), exceptions).results;
+    const { results: currentResults, suppressed } = applyExceptions(JSON.parse(currentContent), exceptions);
     
     // Extract vulnerabilities
     const baselineVulns = extractVulnerabilities(baselineResults);
@@ -120,40 +243,67 @@ function generateComparison() {
     
     core.info(`  Baseline vulnerabilities: ${baselineVulns.size}`);
     core.info(`  Current vulnerabilities: ${currentVulns.size}`);
+    if (suppressed.length > 0) {
+      core.info(`  Suppressed by exceptions: ${suppressed.length}`);
+    }
     
-    // Find new vulnerabilities (in current but not in baseline)
-    const newVulns = new Map();
+    // Categorize findings
+    const categories = {
+      new: new Map(),
+      fixed: new Map(),
+      unchanged: new Map(),
+      severity_changed: new Map(),
+      version_bumped: new Map(),
+      fix_available: new Map()
+    };
+    
+    // Findings on the same package version (in both)
     currentVulns.forEach((vuln, key) => {
-      if (!baselineVulns.has(key)) {
-        newVulns.set(key, vuln);
+      const previous = baselineVulns.get(key);
+      if (!previous) {
+        return;
       }
-    });
-    
-    // Find fixed vulnerabilities (in baseline but not in current)
-    const fixedVulns = new Map();
-    baselineVulns.forEach((vuln, key) => {
-      if (!currentVulns.has(key)) {
-        fixedVulns.set(key, vuln);
+      
+      if (previous.severity !== vuln.severity) {
+        categories.severity_changed.set(key, { ...vuln, previousSeverity: previous.severity });
+      } else if (!previous.fixedVersion && vuln.fixedVersion) {
+        categories.fix_available.set(key, vuln);
+      } else {
+        categories.unchanged.set(key, vuln);
       }
     });
     
-    // Find unchanged vulnerabilities (in both)
-    const unchangedVulns = new Map();
+    // Remaining findings are matched by package regardless of version
+    const remainingBaseline = groupByPackage(
+      Array.from(baselineVulns.entries()).filter(([key]) => !currentVulns.has(key)).map(([, vuln]) => vuln)
+    );
+    
     currentVulns.forEach((vuln, key) => {
       if (baselineVulns.has(key)) {
-        unchangedVulns.set(key, vuln);
+        return;
+      }
+      
+      // Version bumped but still vulnerable (same CVE, same package, other version)
+      const candidates = remainingBaseline.get(getPackageKey(vuln)) || [];
+      const previous = candidates.shift();
+      
+      if (previous) {
+        categories.version_bumped.set(key, { ...vuln, previousVersion: previous.version, previousSeverity: previous.severity });
+      } else {
+        categories.new.set(key, vuln);
       }
     });
     
-    // Count by severity
-    const newCounts = countBySeverity(newVulns);
-    const fixedCounts = countBySeverity(fixedVulns);
-    const unchangedCounts = countBySeverity(unchangedVulns);
+    // Baseline findings with no counterpart were fixed
+    remainingBaseline.forEach(vulns => {
+      vulns.forEach(vuln => categories.fixed.set(getFindingKey(vuln), vuln));
+    });
     
     // Create comparison report
     const comparison = {
       comparison_available: true,
       baseline: {
+        ...baselineInfo,
         total: baselineVulns.size,
         vulnerabilities: Array.from(baselineVulns.values())
       },
@@ -161,38 +311,40 @@ function generateComparison() {
         total: currentVulns.size,
         vulnerabilities: Array.from(currentVulns.values())
       },
-      new: {
-        total: newVulns.size,
-        counts: newCounts,
-        vulnerabilities: Array.from(newVulns.values())
-      },
-      fixed: {
-        total: fixedVulns.size,
-        counts: fixedCounts,
-        vulnerabilities: Array.from(fixedVulns.values())
-      },
-      unchanged: {
-        total: unchangedVulns.size,
-        counts: unchangedCounts,
-        vulnerabilities: Array.from(unchangedVulns.values())
+      suppressed: {
+        total: suppressed.length,
+        counts: countBySeverity(suppressed),
+        vulnerabilities: suppressed
       }
     };
     
+    Object.entries(categories).forEach(([category, vulns]) => {
+      comparison[category] = {
+        total: vulns.size,
+        counts: countBySeverity(vulns),
+        vulnerabilities: Array.from(vulns.values())
+      };
+    });
+    
     // Write comparison to file
     fs.writeFileSync('trivy-comparison.json', JSON.stringify(comparison, null, 2));
     
     // Log summary
     core.info('✅ Vulnerability comparison generated:');
-    core.info(`  New vulnerabilities: ${newVulns.size} (Critical: ${newCounts.critical}, High: ${newCounts.high}, Medium: ${newCounts.medium}, Low: ${newCounts.low})`);
-    core.info(`  Fixed vulnerabilities: ${fixedVulns.size} (Critical: ${fixedCounts.critical}, High: ${fixedCounts.high}, Medium: ${fixedCounts.medium}, Low: ${fixedCounts.low})`);
-    core.info(`  Unchanged vulnerabilities: ${unchangedVulns.size}`);
+    core.info(`  New vulnerabilities: ${comparison.new.total} (Critical: ${comparison.new.counts.critical}, High: ${comparison.new.counts.high}, Medium: ${comparison.new.counts.medium}, Low: ${comparison.new.counts.low})`);
+    core.info(`  Fixed vulnerabilities: ${comparison.fixed.total} (Critical: ${comparison.fixed.counts.critical}, High: ${comparison.fixed.counts.high}, Medium: ${comparison.fixed.counts.medium}, Low: ${comparison.fixed.counts.low})`);
+    core.info(`  Version bumped, still vulnerable: ${comparison.version_bumped.total}`);
+    core.info(`  Severity changed: ${comparison.severity_changed.total}`);
+    core.info(`  Fix now available: ${comparison.fix_available.total}`);
+    core.info(`  Unchanged vulnerabilities: ${comparison.unchanged.total}`);
     
   } catch (error) {
     core.error(`❌ Failed to generate comparison: ${error.message}`);
     
     const errorComparison = {
       comparison_available: false,
-      message: `Error: ${error.message}`
+      message: `Error: ${error.message}`,
+      baseline: baselineInfo
     };
     
     fs.writeFileSync('trivy-comparison.json', JSON.stringify(errorComparison, null, 2));
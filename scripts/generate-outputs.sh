@@ -12,11 +12,15 @@
 #   BUILD_METADATA    : Build metadata JSON
 #   BUILD_FLOW_TYPE   : Detected flow type (pr, dev, patch, wip)
 #   IMAGE_TAGS        : Complete tags from metadata action
+#   PRIMARY_TAG       : Primary (immutable) tag used in pull commands
+#   FLOATING_TAGS     : Tags that move with every build, one per line
 #   SHORT_SHA         : Short commit SHA
-#   REGISTRY          : Target registry (docker-hub, ghcr, both)
+#   REGISTRY_IMAGES   : "<display>|<image>" per line, from resolve-registries.js
 #
 # Outputs (via GitHub Actions):
 #   image-tags        : Formatted list of image tags
+#   immutable-tags    : Image tags that always point to this build
+#   floating-tags     : Image tags that move with every build
 #   registry-urls     : Full URLs for each registry
 #   build-digest      : Build digest SHA256
 #   build-flow-type   : Flow type
@@ -33,8 +37,10 @@ BUILD_DIGEST="${BUILD_DIGEST:-}"
 BUILD_METADATA="${BUILD_METADATA:-}"
 BUILD_FLOW_TYPE="${BUILD_FLOW_TYPE:-}"
 IMAGE_TAGS="${IMAGE_TAGS:-}"
+PRIMARY_TAG="${PRIMARY_TAG:-}"
+FLOATING_TAGS="${FLOATING_TAGS:-}"
 SHORT_SHA="${SHORT_SHA:-}"
-REGISTRY="${REGISTRY:-both}"
+REGISTRY_IMAGES="${REGISTRY_IMAGES:-}"
 
 # Colors for output
 RED='\033[0;31m'
@@ -89,6 +95,29 @@ process_image_tags() {
     echo "$formatted_tags"
 }
 
+# Filter image tags by kind (immutable or floating)
+filter_image_tags() {
+    local kind="$1"
+    local filtered=() image_tag tag_name
+    
+    while IFS= read -r image_tag; do
+        [ -z "$image_tag" ] && continue
+        tag_name="${image_tag##*:}"
+        
+        if echo "$FLOATING_TAGS" | grep -Fxq -- "$tag_name"; then
+            [ "$kind" = "floating" ] && filtered+=("$image_tag")
+        else
+            [ "$kind" = "immutable" ] && filtered+=("$image_tag")
+        fi
+    done <<< "$IMAGE_TAGS"
+    
+    local result
+    result=$(IFS=','; echo "${filtered[*]}")
+    
+    log_debug "  ${kind^} tags: ${result:-<none>}"
+    echo "$result"
+}
+
 generate_registry_urls() {
     log_info "Generating registry URLs..."
     
@@ -100,37 +129,42 @@ generate_registry_urls() {
     
     local urls=()
     
-    # Extract first tag from IMAGE_TAGS (they should all have same tag, different registries)
-    local first_tag
-    first_tag=$(echo "$IMAGE_TAGS" | head -n1)
+    # Pull commands use the primary tag (all registries share the same tags)
+    local first_tag=""
+    if [ -n "$PRIMARY_TAG" ]; then
+        first_tag=$(echo "$IMAGE_TAGS" | awk -v suffix=":${PRIMARY_TAG}" 'substr($0, length($0) - length(suffix) + 1) == suffix { print; exit }')
+    fi
+    if [ -z "$first_tag" ]; then
+        first_tag=$(echo "$IMAGE_TAGS" | head -n1)
+    fi
     
     log_debug "  First tag: ${first_tag}"
     
-    # Add URLs based on registry configuration
-    case "$REGISTRY" in
-        docker-hub)
-            urls+=("docker pull ${first_tag}")
-            ;;
-        ghcr)
-            urls+=("docker pull ${first_tag}")
-            ;;
-        both)
-            # Extract both registry URLs from tags
-            local dockerhub_tag ghcr_tag
-            dockerhub_tag=$(echo "$IMAGE_TAGS" | grep -v "ghcr.io" | head -n1 || echo "")
-            ghcr_tag=$(echo "$IMAGE_TAGS" | grep "ghcr.io" | head -n1 || echo "")
-            
-            if [ -n "$dockerhub_tag" ]; then
-                urls+=("Docker Hub: docker pull ${dockerhub_tag}")
+    # A single registry needs no label
+    local registry_count
+    registry_count=$(echo "$REGISTRY_IMAGES" | grep -c . || true)
+    
+    if [ "$registry_count" -le 1 ]; then
+        urls+=("docker pull ${first_tag}")
+    else
+        # Match each registry's image to its tag
+        local display image tag
+        while IFS='|' read -r display image; do
+            [ -z "$image" ] && continue
+            tag=""
+            if [ -n "$PRIMARY_TAG" ] && echo "$IMAGE_TAGS" | grep -Fxq -- "${image}:${PRIMARY_TAG}"; then
+                tag="${image}:${PRIMARY_TAG}"
+            else
+                tag=$(echo "$IMAGE_TAGS" | awk -v prefix="${image}:" 'index($0, prefix) == 1 { print; exit }')
             fi
-            if [ -n "$ghcr_tag" ]; then
-                urls+=("GHCR: docker pull ${ghcr_tag}")
+            
+            if [ -n "$tag" ]; then
+                urls+=("${display}: docker pull ${tag}")
+            else
+                log_warning "No tag found for ${display} image ${image}"
             fi
-            ;;
-        *)
-            log_warning "Unknown registry type: ${REGISTRY}"
-            ;;
-    esac
+        done <<< "$REGISTRY_IMAGES"
+    fi
     
     # Join URLs with newline
     local result
@@ -196,9 +230,11 @@ generate_outputs() {
     log_info "Generating GitHub Actions outputs..."
     
     # Process all outputs
-    local formatted_tags registry_urls formatted_digest
+    local formatted_tags immutable_tags floating_tags registry_urls formatted_digest
     
     formatted_tags=$(process_image_tags)
+    immutable_tags=$(filter_image_tags immutable)
+    floating_tags=$(filter_image_tags floating)
     registry_urls=$(generate_registry_urls)
     formatted_digest=$(format_build_digest)
     
@@ -206,6 +242,8 @@ generate_outputs() {
     if [ -n "$GITHUB_OUTPUT" ]; then
         {
             echo "image-tags=${formatted_tags}"
+            echo "immutable-tags=${immutable_tags}"
+            echo "floating-tags=${floating_tags}"
             echo "registry-urls<<EOF"
             echo "${registry_urls}"
             echo "EOF"
@@ -225,6 +263,7 @@ generate_outputs() {
     echo -e "  ${CYAN}Flow Type:${NC} ${BUILD_FLOW_TYPE}"
     echo -e "  ${CYAN}Short SHA:${NC} ${SHORT_SHA}"
     echo -e "  ${CYAN}Image Tags:${NC} ${formatted_tags}"
+    echo -e "  ${CYAN}Floating Tags:${NC} ${floating_tags:-none}"
     echo -e "  ${CYAN}Build Digest:${NC} ${formatted_digest}"
     echo ""
     echo -e "  ${CYAN}Registry URLs:${NC}"
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Generate SBOM Diff Script
+ * =========================
+ * Diffs the packages of the current image against the baseline image
+ *
+ * This script reads the CycloneDX or SPDX SBOMs that Trivy generated for the
+ * current and the baseline image and lists every package that was added,
+ * removed, upgraded or downgraded, grouped by ecosystem (see sbom-diff.js).
+ * Without a baseline SBOM, the report is written with "compared": false.
+ *
+ * Environment Variables:
+ *   BASELINE_IMAGE : Baseline image reference, for the report
+ *   BASELINE_TAG   : Baseline tag, for the report
+ *
+ * Input:
+ *   - trivy-image-sbom.json: SBOM of the current image
+ *   - trivy-baseline-sbom.json: SBOM of the baseline image (optional)
+ *
+ * Output:
+ *   - sbom-diff.json: Package diff
+ *   - GitHub Actions outputs: added, removed, upgraded, downgraded (package counts)
+ */
+
+const fs = require('fs');
+const core = require('@actions/core');
+const { diffSboms } = require('./sbom-diff');
+
+const SBOM_FILE = 'trivy-image-sbom.json';
+const BASELINE_SBOM_FILE = 'trivy-baseline-sbom.json';
+
+/**
+ * Read an SBOM file, or null when it was not generated
+ */
+function readSbom(file) {
+  if (!fs.existsSync(file) || fs.statSync(file).size === 0) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Diff the SBOMs and set outputs
+ */
+function generateSbomDiff() {
+  try {
+    core.info('📦 Comparing image packages...');
+    
+    const sbom = readSbom(SBOM_FILE);
+    if (!sbom) {
+      core.warning(`${SBOM_FILE} not found, skipping package diff`);
+      return;
+    }
+    
+    const baselineSbom = readSbom(BASELINE_SBOM_FILE);
+    const baseline = process.env.BASELINE_IMAGE
+      ? { image: process.env.BASELINE_IMAGE, tag: process.env.BASELINE_TAG || '' }
+      : null;
+    
+    const report = diffSboms(sbom, baselineSbom, baseline);
+    fs.writeFileSync('sbom-diff.json', JSON.stringify(report, null, 2));
+    
+    if (!report.compared) {
+      core.info('  No baseline SBOM, packages were not compared');
+      return;
+    }
+    
+    const { counts } = report;
+    core.info(`  ${counts.added} added, ${counts.removed} removed, ${counts.upgraded} upgraded, ${counts.downgraded} downgraded, ${counts.unchanged} unchanged`);
+    report.ecosystems.forEach(entry => {
+      core.info(`  ${entry.ecosystem}: +${entry.added.length} -${entry.removed.length} ↑${entry.upgraded.length} ↓${entry.downgraded.length}`);
+    });
+    
+    ['added', 'removed', 'upgraded', 'downgraded'].forEach(change => {
+      core.setOutput(change, counts[change].toString());
+    });
+  } catch (error) {
+    core.error(`❌ Failed to compare image packages: ${error.message}`);
+    
+    // Don't fail the build, the package diff is informational
+    core.warning('Continuing despite package diff error...');
+  }
+}
+
+// Execute
+generateSbomDiff();
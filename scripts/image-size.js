@@ -0,0 +1,297 @@
+/**
+ * Image Size
+ * ==========
+ * Describes the layers of an image, compares them with the baseline image and checks the size budget
+ *
+ * Sizes are compressed sizes as stored in the registry (the sum of the layer
+ * blobs of the image manifest), which is what a pull downloads. Every layer
+ * is attributed to the Dockerfile instruction that created it from the image
+ * config history.
+ *
+ * Layers shared with the baseline image (same digest) are unchanged. The
+ * other layers are matched to baseline layers created by the same
+ * instruction, so a `COPY . /app` that grew shows up as grown rather than as
+ * one added and one removed layer.
+ *
+ * Size budget format (comma-separated rules):
+ *   500MB       : The image may not exceed 500 MB
+ *   +20MB       : The image may not grow by more than 20 MB against the baseline
+ *   +10%        : The image may not grow by more than 10% against the baseline
+ *
+ *   Units are B, KB, MB and GB (powers of 1000, like the Docker CLI).
+ *   Growth rules are only checked when a baseline image was measured.
+ *
+ * Report format (image-size.json):
+ *   {
+ *     "image": "myorg/app@sha256:...", "platform": "linux/amd64",
+ *     "size": 52428800, "layer_count": 9,
+ *     "layers": [{ "digest", "size", "instruction" }],
+ *     "baseline": { "image", "tag", "size", "layer_count" },
+ *     "delta": 1048576,
+ *     "changes": [{ "instruction", "size", "baseline_size", "delta", "status" }],
+ *     "budget": { "evaluated": true, "passed": false, "rules": ["500MB"], "violations": ["..."] }
+ *   }
+ *
+ *   status is added, removed, grown or shrunk. baseline, delta and changes are
+ *   null without a baseline image.
+ */
+
+const UNITS = { B: 1, KB: 1000, MB: 1000 * 1000, GB: 1000 * 1000 * 1000 };
+
+// Layers listed in the PR comment
+const MAX_LAYERS = 5;
+
+// Platform measured for multi-platform images when available
+const PREFERRED_PLATFORM = 'linux/amd64';
+
+/**
+ * Format a byte count (e.g. "52.4 MB")
+ */
+function formatSize(bytes) {
+  const absolute = Math.abs(bytes);
+  const unit = ['GB', 'MB', 'KB'].find(name => absolute >= UNITS[name]) || 'B';
+  return unit === 'B' ? `${bytes} B` : `${(bytes / UNITS[unit]).toFixed(1)} ${unit}`;
+}
+
+/**
+ * Format a size change with its sign (e.g. "+1.2 MB")
+ */
+function formatDelta(bytes) {
+  return `${bytes > 0 ? '+' : bytes < 0 ? '-' : '±'}${formatSize(Math.abs(bytes))}`;
+}
+
+/**
+ * Parse a size such as "500MB" into bytes
+ */
+function parseSize(value) {
+  const match = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+  if (!match) {
+    throw new Error(`Invalid size "${value}" (use e.g. 500MB)`);
+  }
+  return Math.round(parseFloat(match[1]) * UNITS[match[2] || 'B']);
+}
+
+/**
+ * Parse the size budget input into rules
+ *
+ * @param {string} input - Comma-separated rules, see the file header
+ * @returns {Array} Rules: { rule, type: max|increase|percent, limit }
+ */
+function parseSizeBudget(input) {
+  return (input || '')
+    .split(',')
+    .map(rule => rule.trim())
+    .filter(Boolean)
+    .map(rule => {
+      if (!rule.startsWith('+')) {
+        return { rule, type: 'max', limit: parseSize(rule) };
+      }
+      if (rule.endsWith('%')) {
+        const percent = parseFloat(rule.slice(1, -1));
+        if (isNaN(percent)) {
+          throw new Error(`Invalid size budget rule "${rule}" (use e.g. +10%)`);
+        }
+        return { rule, type: 'percent', limit: percent };
+      }
+      return { rule, type: 'increase', limit: parseSize(rule.slice(1)) };
+    });
+}
+
+/**
+ * Pick the manifest to measure from an image index
+ *
+ * Attestation manifests (platform unknown/unknown) are skipped.
+ *
+ * @returns {{digest: string, platform: string}|null}
+ */
+function selectPlatformManifest(index) {
+  const manifests = (index.manifests || [])
+    .filter(manifest => manifest.platform && manifest.platform.os !== 'unknown')
+    .map(manifest => ({
+      digest: manifest.digest,
+      platform: [manifest.platform.os, manifest.platform.architecture, manifest.platform.variant].filter(Boolean).join('/')
+    }));
+  return manifests.find(manifest => manifest.platform === PREFERRED_PLATFORM) || manifests[0] || null;
+}
+
+/**
+ * Shorten a history entry to the Dockerfile instruction
+ */
+function normalizeInstruction(createdBy) {
+  return String(createdBy || '')
+    .replace(/^\/bin\/sh -c #\(nop\)\s*/, '')
+    .replace(/^(RUN )?\/bin\/sh -c /, 'RUN ')
+    .replace(/\s*# buildkit$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * List the layers of an image manifest with the instruction that created each one
+ *
+ * @param {object} manifest - Image manifest (layers with digest and size)
+ * @param {object|null} config - Image config (history)
+ * @returns {Array} Layers: { digest, size, instruction }
+ */
+function describeLayers(manifest, config) {
+  const history = ((config && config.history) || []).filter(entry => !entry.empty_layer);
+  const layers = manifest.layers || [];
+  
+  // History that does not line up with the layers cannot be attributed
+  const attributed = history.length === layers.length;
+  return layers.map((layer, index) => ({
+    digest: layer.digest,
+    size: layer.size || 0,
+    instruction: attributed ? normalizeInstruction(history[index].created_by) : ''
+  }));
+}
+
+/**
+ * Compare the layers of an image with the baseline image
+ *
+ * @returns {Array} Changed layers: { instruction, size, baseline_size, delta, status }, largest growth first
+ */
+function compareLayers(layers, baselineLayers) {
+  const baselineDigests = new Set(baselineLayers.map(layer => layer.digest));
+  const currentDigests = new Set(layers.map(layer => layer.digest));
+  const unmatched = baselineLayers.filter(layer => !currentDigests.has(layer.digest));
+  const changes = [];
+  
+  layers.filter(layer => !baselineDigests.has(layer.digest)).forEach(layer => {
+    const index = layer.instruction ? unmatched.findIndex(candidate => candidate.instruction === layer.instruction) : -1;
+    if (index === -1) {
+      changes.push({ instruction: layer.instruction, size: layer.size, baseline_size: 0, delta: layer.size, status: 'added' });
+      return;
+    }
+    
+    const [previous] = unmatched.splice(index, 1);
+    const delta = layer.size - previous.size;
+    changes.push({ instruction: layer.instruction, size: layer.size, baseline_size: previous.size, delta, status: delta >= 0 ? 'grown' : 'shrunk' });
+  });
+  
+  unmatched.forEach(layer => {
+    changes.push({ instruction: layer.instruction, size: 0, baseline_size: layer.size, delta: -layer.size, status: 'removed' });
+  });
+  
+  return changes.sort((a, b) => b.delta - a.delta);
+}
+
+/**
+ * Check the image size against the budget
+ */
+function evaluateSizeBudget(report, rules) {
+  if (rules.length === 0) {
+    return { evaluated: false, passed: true, rules: [], violations: [] };
+  }
+  
+  const violations = [];
+  rules.forEach(({ rule, type, limit }) => {
+    if (type === 'max' && report.size > limit) {
+      violations.push(`${formatSize(report.size)} exceeds the ${formatSize(limit)} limit (${rule})`);
+    } else if (type === 'increase' && report.delta !== null && report.delta > limit) {
+      violations.push(`grew by ${formatSize(report.delta)}, more than the allowed ${formatSize(limit)} (${rule})`);
+    } else if (type === 'percent' && report.delta !== null && report.baseline.size > 0 && report.delta / report.baseline.size * 100 > limit) {
+      violations.push(`grew by ${(report.delta / report.baseline.size * 100).toFixed(1)}%, more than the allowed ${limit}% (${rule})`);
+    }
+  });
+  
+  return { evaluated: true, passed: violations.length === 0, rules: rules.map(rule => rule.rule), violations: violations };
+}
+
+/**
+ * Build the size report of an image
+ *
+ * @param {object} current - { image, platform, layers }
+ * @param {object|null} baseline - { image, tag, layers }, null without a baseline image
+ * @param {Array} rules - Size budget rules from parseSizeBudget()
+ * @returns {object} Report, see the file header
+ */
+function buildSizeReport(current, baseline, rules) {
+  const total = layers => layers.reduce((sum, layer) => sum + layer.size, 0);
+  const size = total(current.layers);
+  
+  const report = {
+    image: current.image,
+    platform: current.platform,
+    size: size,
+    layer_count: current.layers.length,
+    layers: current.layers,
+    baseline: baseline ? { image: baseline.image, tag: baseline.tag || '', size: total(baseline.layers), layer_count: baseline.layers.length } : null,
+    delta: baseline ? size - total(baseline.layers) : null,
+    changes: baseline ? compareLayers(current.layers, baseline.layers) : null
+  };
+  report.budget = evaluateSizeBudget(report, rules);
+  return report;
+}
+
+/**
+ * Describe a layer for the report
+ */
+function describeLayer(instruction) {
+  if (!instruction) {
+    return '*unknown instruction*';
+  }
+  const text = instruction.length > 80 ? `${instruction.substring(0, 77)}...` : instruction;
+  return `\`${text.replace(/`/g, '\'').replace(/\|/g, '\\|')}\``;
+}
+
+/**
+ * Render the image size section of the PR comment
+ *
+ * @param {object|null} report - Contents of image-size.json
+ * @returns {string} Markdown section, empty without a report
+ */
+function renderImageSize(report) {
+  if (!report) {
+    return '';
+  }
+  
+  let section = `### 📏 Image Size\n\n`;
+  section += '| | Compressed Size | Layers |\n|---|---|---|\n';
+  section += `| **This build**${report.platform ? ` (${report.platform})` : ''} | ${formatSize(report.size)} | ${report.layer_count} |\n`;
+  
+  if (report.baseline) {
+    const percent = report.baseline.size > 0 ? ` (${report.delta >= 0 ? '+' : ''}${(report.delta / report.baseline.size * 100).toFixed(1)}%)` : '';
+    const layerDelta = report.layer_count - report.baseline.layer_count;
+    section += `| **Baseline** \`${report.baseline.tag || report.baseline.image}\` | ${formatSize(report.baseline.size)} | ${report.baseline.layer_count} |\n`;
+    section += `| **Change** | **${formatDelta(report.delta)}**${percent} | ${layerDelta > 0 ? '+' : ''}${layerDelta} |\n\n`;
+    
+    const growing = report.changes.filter(change => change.delta > 0).slice(0, MAX_LAYERS);
+    if (growing.length > 0) {
+      section += '**Biggest growing layers:**\n\n| Layer | Size | Change |\n|-------|------|--------|\n';
+      growing.forEach(change => {
+        section += `| ${describeLayer(change.instruction)} | ${formatSize(change.size)} | ${formatDelta(change.delta)}${change.status === 'added' ? ' (new layer)' : ''} |\n`;
+      });
+      section += '\n';
+    } else if (report.changes.length === 0) {
+      section += '*All layers are shared with the baseline image.*\n\n';
+    }
+  } else {
+    section += '\n*No baseline image to compare with.*\n\n';
+    
+    const largest = [...report.layers].sort((a, b) => b.size - a.size).slice(0, MAX_LAYERS);
+    if (largest.length > 0) {
+      section += '**Largest layers:**\n\n| Layer | Size |\n|-------|------|\n';
+      largest.forEach(layer => {
+        section += `| ${describeLayer(layer.instruction)} | ${formatSize(layer.size)} |\n`;
+      });
+      section += '\n';
+    }
+  }
+  
+  if (report.budget && report.budget.evaluated) {
+    section += report.budget.passed
+      ? `✅ Within the size budget (\`${report.budget.rules.join(', ')}\`).\n\n`
+      : `❌ **Size budget exceeded:** the image ${report.budget.violations.join('; ')}.\n\n`;
+  }
+  return section;
+}
+
+module.exports = {
+  formatSize,
+  parseSizeBudget,
+  selectPlatformManifest,
+  describeLayers,
+  buildSizeReport,
+  renderImageSize
+};
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Measure Image Size Script
+ * =========================
+ * Measures the compressed size and layers of the pushed image and compares them with the baseline
+ *
+ * This script reads the manifest and config of the pushed image from the
+ * registry (docker buildx imagetools), attributes every layer to the
+ * Dockerfile instruction that created it, and compares the layers with the
+ * baseline image resolved for the vulnerability comparison (see
+ * image-size.js). For multi-platform images, linux/amd64 is measured.
+ *
+ * The size budget is checked here, but the build is failed by a later step
+ * so the scans and the PR comment still run.
+ *
+ * Environment Variables:
+ *   REGISTRIES_JSON   : Resolved registries (the first one is measured)
+ *   BUILD_DIGEST      : Digest of the pushed image
+ *   BASELINE_IMAGE    : Baseline image reference (optional)
+ *   BASELINE_TAG      : Baseline tag, for display (optional)
+ *   IMAGE_SIZE_BUDGET : Size budget rules (e.g. "500MB,+10%")
+ *
+ * Output:
+ *   - image-size.json: Size report
+ *   - GitHub Actions outputs:
+ *       size                : Compressed image size in bytes
+ *       size-delta          : Size change against the baseline in bytes (empty without a baseline)
+ *       layer-count         : Number of layers
+ *       budget-passed       : Whether the image is within the size budget (true/false)
+ *       budget-violations   : Budget violations, for the failing step
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const core = require('@actions/core');
+const { formatSize, parseSizeBudget, selectPlatformManifest, describeLayers, buildSizeReport } = require('./image-size');
+
+/**
+ * Run docker buildx imagetools inspect and parse its JSON output
+ */
+function inspect(reference, format) {
+  const args = ['buildx', 'imagetools', 'inspect', reference, ...(format ? ['--format', format] : ['--raw'])];
+  return JSON.parse(execFileSync('docker', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }));
+}
+
+/**
+ * Read the layers of an image, resolving image indexes to one platform
+ *
+ * @returns {{image: string, platform: string, layers: Array}}
+ */
+function readImage(reference) {
+  let manifest = inspect(reference);
+  let platform = '';
+  let target = reference;
+  
+  if (Array.isArray(manifest.manifests)) {
+    const selected = selectPlatformManifest(manifest);
+    if (!selected) {
+      throw new Error(`${reference} has no platform image`);
+    }
+    target = `${reference.split('@')[0].replace(/:[^:/]+$/, '')}@${selected.digest}`;
+    platform = selected.platform;
+    manifest = inspect(target);
+  }
+  
+  let config = null;
+  try {
+    config = inspect(target, '{{json .Image}}');
+  } catch (error) {
+    core.debug(`Could not read the image config of ${target}: ${error.message}`);
+  }
+  return { image: reference, platform: platform, layers: describeLayers(manifest, config) };
+}
+
+/**
+ * Measure the image, compare it with the baseline and set outputs
+ */
+function measureImageSize() {
+  let rules;
+  try {
+    rules = parseSizeBudget(process.env.IMAGE_SIZE_BUDGET || '');
+  } catch (error) {
+    core.setFailed(`Invalid image-size-budget: ${error.message}`);
+    return;
+  }
+  
+  try {
+    core.info('📏 Measuring image size...');
+    
+    const registry = JSON.parse(process.env.REGISTRIES_JSON || '[]')[0];
+    const digest = process.env.BUILD_DIGEST || '';
+    if (!registry || !digest) {
+      core.info('  No pushed image digest, skipping size measurement');
+      return;
+    }
+    
+    const current = readImage(`${registry.image}@${digest}`);
+    
+    let baseline = null;
+    const baselineImage = process.env.BASELINE_IMAGE || '';
+    if (baselineImage) {
+      try {
+        baseline = { ...readImage(baselineImage), tag: process.env.BASELINE_TAG || '' };
+      } catch (error) {
+        core.warning(`⚠️  Could not measure baseline image ${baselineImage}: ${error.message}`);
+      }
+    }
+    
+    const report = buildSizeReport(current, baseline, rules);
+    fs.writeFileSync('image-size.json', JSON.stringify(report, null, 2));
+    
+    core.info(`  ${formatSize(report.size)} in ${report.layer_count} layers${report.platform ? ` (${report.platform})` : ''}`);
+    if (report.baseline) {
+      core.info(`  Baseline ${formatSize(report.baseline.size)} in ${report.baseline.layer_count} layers, ${report.changes.length} layer(s) changed`);
+    }
+    
+    core.setOutput('size', report.size.toString());
+    core.setOutput('size-delta', report.delta === null ? '' : report.delta.toString());
+    core.setOutput('layer-count', report.layer_count.toString());
+    core.setOutput('budget-passed', report.budget.passed.toString());
+    core.setOutput('budget-violations', report.budget.violations.join('; '));
+    
+    if (!report.budget.passed) {
+      report.budget.violations.forEach(violation => core.warning(`⚠️  Image size budget: the image ${violation}`));
+    }
+  } catch (error) {
+    core.error(`❌ Failed to measure image size: ${error.message}`);
+    
+    // Don't fail the build, the size report is informational
+    core.warning('Continuing despite image size error...');
+  }
+}
+
+// Execute
+measureImageSize();
@@ -0,0 +1,105 @@
+/**
+ * Misconfigurations
+ * =================
+ * Extracts Dockerfile misconfigurations and compares them with the base branch
+ *
+ * Every failed check keeps its check ID, severity, title, resolution and the
+ * lines that caused it (from Trivy's CauseMetadata), so the report can link
+ * to the exact Dockerfile line.
+ *
+ * Findings are compared with a scan of the base branch Dockerfile by check
+ * ID and the content of the offending lines, not by line number, so edits
+ * elsewhere in the file do not turn existing findings into new ones.
+ */
+
+const { severityRank } = require('./severity');
+
+/**
+ * Extract the failed misconfiguration checks from Trivy config results
+ *
+ * @param {object} results - Parsed Trivy JSON results
+ * @returns {Array} Misconfigurations sorted by severity, then line
+ */
+function extractMisconfigurations(results) {
+  const misconfigurations = [];
+  
+  ((results && results.Results) || []).forEach(result => {
+    (result.Misconfigurations || []).forEach(misconfiguration => {
+      // Results may include passed checks
+      if (misconfiguration.Status === 'PASS') {
+        return;
+      }
+      
+      const cause = misconfiguration.CauseMetadata || {};
+      const lines = ((cause.Code || {}).Lines || []).filter(line => line.IsCause);
+      
+      misconfigurations.push({
+        id: misconfiguration.ID || misconfiguration.AVDID || 'UNKNOWN',
+        severity: (misconfiguration.Severity || 'UNKNOWN').toUpperCase(),
+        title: misconfiguration.Title || '',
+        message: misconfiguration.Message || '',
+        resolution: misconfiguration.Resolution || '',
+        url: misconfiguration.PrimaryURL || '',
+        target: result.Target || '',
+        startLine: cause.StartLine || 0,
+        endLine: cause.EndLine || cause.StartLine || 0,
+        cause: lines.map(line => (line.Content || '').trim()).join('\n')
+      });
+    });
+  });
+  
+  return misconfigurations.sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || a.startLine - b.startLine);
+}
+
+/**
+ * Key identifying a misconfiguration regardless of where it is in the file
+ */
+function getMisconfigurationKey(misconfiguration) {
+  return `${misconfiguration.id}|${misconfiguration.cause.replace(/\s+/g, ' ')}`;
+}
+
+/**
+ * Mark misconfigurations as new or existing compared with the base branch
+ *
+ * @param {Array} current - Misconfigurations of the current Dockerfile
+ * @param {Array|null} baseline - Misconfigurations of the base branch Dockerfile (null when not scanned)
+ * @returns {{findings: Array, resolved: Array, compared: boolean}} Current findings with a
+ *   status ("new", "existing", or "" without comparison) and the base branch findings that are gone
+ */
+function compareMisconfigurations(current, baseline) {
+  if (!baseline) {
+    return { findings: current.map(finding => ({ ...finding, status: '' })), resolved: [], compared: false };
+  }
+  
+  // Count keys so a duplicated line is only matched once
+  const remaining = new Map();
+  baseline.forEach(finding => {
+    const key = getMisconfigurationKey(finding);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  });
+  
+  const findings = current.map(finding => {
+    const key = getMisconfigurationKey(finding);
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+      return { ...finding, status: 'existing' };
+    }
+    return { ...finding, status: 'new' };
+  });
+  
+  const resolved = baseline.filter(finding => {
+    const key = getMisconfigurationKey(finding);
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+      return true;
+    }
+    return false;
+  });
+  
+  return { findings, resolved, compared: true };
+}
+
+module.exports = {
+  extractMisconfigurations,
+  compareMisconfigurations
+};
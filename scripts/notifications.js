@@ -0,0 +1,350 @@
+/**
+ * Notifications
+ * =============
+ * Loads notification targets and builds their payloads from the scan results
+ *
+ * Every target receives the same compact notification (flow, image, commit,
+ * vulnerability counts, what changed against the baseline and the gate
+ * verdict), formatted for Slack, Microsoft Teams or as plain JSON for any
+ * other webhook.
+ *
+ * Notifications format (JSON, inline or file path):
+ *   {
+ *     "targets": [
+ *       {
+ *         "name": "security-alerts",
+ *         "type": "slack",
+ *         "url": "${SLACK_WEBHOOK_URL}",
+ *         "flows": ["dev", "staging", "patch"],
+ *         "when": ["new-critical", "gate-failed"]
+ *       },
+ *       { "type": "webhook", "url": "https://example.com/hooks/builds", "headers": { "Authorization": "Bearer ${HOOK_TOKEN}" } }
+ *     ]
+ *   }
+ *
+ *   - type    : slack, teams or webhook (required)
+ *   - url     : Webhook URL (required)
+ *   - name    : Label used in logs (defaults to the type)
+ *   - flows   : Build flows to notify for (all flows when omitted)
+ *   - when    : Conditions, any of which triggers the notification (default: always)
+ *   - headers : Extra HTTP headers (webhook only)
+ *
+ * ${NAME} in url and headers is replaced with the environment variable NAME,
+ * so webhook secrets can stay out of a committed file.
+ *
+ * Conditions:
+ *   - always              : Every build
+ *   - build-failed        : The image build failed
+ *   - vulnerabilities     : The image has vulnerabilities
+ *   - new-vulnerabilities : Vulnerabilities not in the baseline image
+ *   - new-critical        : CRITICAL vulnerabilities not in the baseline image
+ *   - new-high            : CRITICAL or HIGH vulnerabilities not in the baseline image
+ *   - gate-failed         : The vulnerability gate did not pass
+ *
+ * Without a baseline comparison, every vulnerability of the image counts as new.
+ */
+
+const fs = require('fs');
+const { SEVERITIES, SEVERITY_EMOJI } = require('./severity');
+
+const TYPES = ['slack', 'teams', 'webhook'];
+const CONDITIONS = ['always', 'build-failed', 'vulnerabilities', 'new-vulnerabilities', 'new-critical', 'new-high', 'gate-failed'];
+
+/**
+ * Replace ${NAME} with the value of the environment variable NAME
+ */
+function expandEnv(value, env) {
+  return String(value).replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => env[name] || '');
+}
+
+/**
+ * Normalize a string or list setting into a list
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate a notification target and expand its environment references
+ */
+function validateTarget(entry, index, env) {
+  const label = `Notification target ${index + 1}`;
+  
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (!TYPES.includes(entry.type)) {
+    throw new Error(`${label} has invalid type "${entry.type}" (use ${TYPES.join(', ')})`);
+  }
+  
+  const url = expandEnv(entry.url || '', env).trim();
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error(`${label} has no valid url${entry.url ? ` (is ${entry.url} set?)` : ''}`);
+  }
+  
+  const when = toList(entry.when);
+  const unknown = when.filter(condition => !CONDITIONS.includes(condition));
+  if (unknown.length > 0) {
+    throw new Error(`${label} has unknown condition(s) ${unknown.join(', ')} (use ${CONDITIONS.join(', ')})`);
+  }
+  
+  const headers = {};
+  Object.entries(entry.headers || {}).forEach(([name, value]) => {
+    headers[name] = expandEnv(value, env);
+  });
+  
+  return {
+    name: entry.name || entry.type,
+    type: entry.type,
+    url: url,
+    flows: toList(entry.flows),
+    when: when.length > 0 ? when : ['always'],
+    headers: headers
+  };
+}
+
+/**
+ * Load notification targets from inline JSON or a file
+ *
+ * An invalid target, e.g. one whose ${NAME} secret is not set, is skipped
+ * with a warning so the other targets are still notified.
+ *
+ * @param {string} input - Inline JSON or path to a JSON file
+ * @param {{warning: function(string)}} logger - Receives skipped targets
+ * @param {object} env - Environment used for ${NAME} references
+ * @returns {Array} Valid targets
+ */
+function loadNotificationTargets(input, logger, env = process.env) {
+  const value = (input || '').trim();
+  if (!value) {
+    return [];
+  }
+  
+  let config;
+  if (value.startsWith('{') || value.startsWith('[')) {
+    config = JSON.parse(value);
+  } else {
+    if (!fs.existsSync(value)) {
+      throw new Error(`Notifications file not found: ${value}`);
+    }
+    config = JSON.parse(fs.readFileSync(value, 'utf8'));
+  }
+  
+  const targets = Array.isArray(config) ? config : config.targets;
+  if (!Array.isArray(targets)) {
+    throw new Error('Notifications "targets" must be a list');
+  }
+  
+  const valid = [];
+  targets.forEach((entry, index) => {
+    try {
+      valid.push(validateTarget(entry, index, env));
+    } catch (error) {
+      logger.warning(`⚠️  ${error.message}, skipping it`);
+    }
+  });
+  return valid;
+}
+
+/**
+ * Check which conditions hold for a notification
+ */
+function evaluateConditions(notification) {
+  const { vulnerabilities, changes, gate } = notification;
+  const added = changes ? changes.new : vulnerabilities;
+  
+  return {
+    always: true,
+    'build-failed': notification.build === 'failure',
+    vulnerabilities: Boolean(vulnerabilities) && vulnerabilities.total > 0,
+    'new-vulnerabilities': Boolean(added) && added.total > 0,
+    'new-critical': Boolean(added) && added.critical > 0,
+    'new-high': Boolean(added) && added.critical + added.high > 0,
+    'gate-failed': Boolean(gate) && !gate.passed
+  };
+}
+
+/**
+ * Determine whether a target is notified, and why
+ *
+ * @returns {Array} The conditions of the target that hold (empty when not notified)
+ */
+function matchTarget(target, notification) {
+  if (target.flows.length > 0 && !target.flows.includes(notification.flow.type)) {
+    return [];
+  }
+  
+  const conditions = evaluateConditions(notification);
+  return target.when.filter(condition => conditions[condition]);
+}
+
+/**
+ * Create severity counters from a summary or comparison entry
+ */
+function pickCounts(source) {
+  const counts = { total: source.total || 0 };
+  SEVERITIES.forEach(severity => {
+    counts[severity] = source[severity] || 0;
+  });
+  return counts;
+}
+
+/**
+ * Build the notification shared by all targets
+ *
+ * @param {object} context - { flow, build, repository, repositoryUrl, ref, sha, runUrl, pullRequest, image }
+ * @param {object|null} summary - trivy-scan-summary.json
+ * @param {object|null} comparison - trivy-comparison.json
+ * @param {object|null} gate - trivy-gate-results.json
+ * @returns {object} Notification data, also the payload of generic webhooks
+ */
+function buildNotification(context, summary, comparison, gate) {
+  const compared = Boolean(comparison && comparison.comparison_available);
+  
+  return {
+    flow: context.flow,
+    build: context.build,
+    repository: context.repository,
+    ref: context.ref,
+    commit: { sha: context.sha, url: context.sha ? `${context.repositoryUrl}/commit/${context.sha}` : '' },
+    run_url: context.runUrl,
+    pull_request: context.pullRequest || null,
+    image: context.image,
+    vulnerabilities: summary && summary.completed ? pickCounts(summary) : null,
+    changes: compared ? {
+      baseline: comparison.baseline ? (comparison.baseline.tag || comparison.baseline.image || '') : '',
+      new: pickCounts(comparison.new.counts),
+      fixed: pickCounts(comparison.fixed.counts),
+      new_findings: comparison.new.vulnerabilities.slice(0, 5).map(vuln => ({
+        id: vuln.id,
+        package: vuln.package,
+        severity: vuln.severity
+      }))
+    } : null,
+    gate: gate && gate.evaluated ? { passed: gate.passed, violations: gate.violations.length } : null
+  };
+}
+
+/**
+ * Describe severity counts compactly (e.g. "🔴 1 · 🟠 2")
+ */
+function describeCounts(counts) {
+  const parts = SEVERITIES
+    .filter(severity => counts[severity] > 0)
+    .map(severity => `${SEVERITY_EMOJI[severity.toUpperCase()]} ${counts[severity]}`);
+  return parts.length > 0 ? parts.join(' · ') : 'none';
+}
+
+/**
+ * Summarize the notification as a headline and detail lines
+ */
+function describeNotification(notification) {
+  const { flow, vulnerabilities, changes, gate } = notification;
+  const subject = notification.pull_request ? `PR #${notification.pull_request.number}` : notification.ref;
+  
+  let status = 'built';
+  if (notification.build === 'failure') {
+    status = 'failed to build';
+  } else if (gate && !gate.passed) {
+    status = `failed the vulnerability gate (${gate.violations} rule${gate.violations === 1 ? '' : 's'} violated)`;
+  } else if (changes && changes.new.critical > 0) {
+    status = `added ${changes.new.critical} CRITICAL vulnerabilit${changes.new.critical === 1 ? 'y' : 'ies'}`;
+  }
+  
+  const lines = [];
+  if (notification.image) {
+    lines.push(`Image: ${notification.image}`);
+  }
+  if (vulnerabilities) {
+    lines.push(`Vulnerabilities: ${vulnerabilities.total} (${describeCounts(vulnerabilities)})`);
+  }
+  if (changes) {
+    lines.push(`Since ${changes.baseline || 'the baseline'}: +${changes.new.total} new (${describeCounts(changes.new)}), -${changes.fixed.total} fixed`);
+    changes.new_findings.forEach(finding => {
+      lines.push(`  ${SEVERITY_EMOJI[finding.severity.toUpperCase()] || '⚪'} ${finding.id} in ${finding.package}`);
+    });
+  }
+  
+  return {
+    headline: `${flow.emoji} ${flow.title} of ${notification.repository} (${subject}) ${status}`,
+    lines: lines
+  };
+}
+
+/**
+ * Format a Slack incoming webhook message
+ */
+function formatSlack(notification, description) {
+  const links = [`<${notification.run_url}|Workflow run>`];
+  if (notification.commit.url) {
+    links.push(`<${notification.commit.url}|${notification.commit.sha.substring(0, 7)}>`);
+  }
+  if (notification.pull_request) {
+    links.push(`<${notification.pull_request.url}|PR #${notification.pull_request.number}>`);
+  }
+  
+  return {
+    text: description.headline,
+    attachments: [{
+      color: notification.flow.color,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${description.headline}*\n${description.lines.join('\n')}` } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: links.join(' · ') }] }
+      ]
+    }]
+  };
+}
+
+/**
+ * Format a Microsoft Teams message (Adaptive Card, for Workflows and connector webhooks)
+ */
+function formatTeams(notification, description) {
+  const actions = [{ type: 'Action.OpenUrl', title: 'Workflow run', url: notification.run_url }];
+  if (notification.pull_request) {
+    actions.push({ type: 'Action.OpenUrl', title: `PR #${notification.pull_request.number}`, url: notification.pull_request.url });
+  }
+  
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: description.headline, weight: 'Bolder', wrap: true },
+          ...description.lines.map(line => ({ type: 'TextBlock', text: line, wrap: true, spacing: 'None' }))
+        ],
+        actions: actions
+      }
+    }]
+  };
+}
+
+/**
+ * Format the request body of a target
+ *
+ * @param {object} target - Target from loadNotificationTargets()
+ * @param {object} notification - Result of buildNotification()
+ * @param {Array} conditions - Conditions that triggered the notification
+ * @returns {object} JSON body
+ */
+function formatPayload(target, notification, conditions) {
+  if (target.type === 'webhook') {
+    return { event: 'container-build-flow', conditions: conditions, ...notification };
+  }
+  
+  const description = describeNotification(notification);
+  return target.type === 'slack' ? formatSlack(notification, description) : formatTeams(notification, description);
+}
+
+module.exports = {
+  loadNotificationTargets,
+  matchTarget,
+  buildNotification,
+  formatPayload
+};
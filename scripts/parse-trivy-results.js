@@ -2,135 +2,456 @@
 /**
  * Parse Trivy Results Script
  * ===========================
- * Parses Trivy scan results and generates summary with vulnerability counts
- * 
- * This script reads the Trivy JSON output, counts vulnerabilities by severity,
- * and sets GitHub Actions outputs for use in workflows and PR comments.
- * 
+ * Parses Trivy scan results and generates a unified summary for every scan
+ *
+ * This script reads the Trivy JSON output of the image, source code and
+ * Dockerfile scans, counts vulnerabilities, misconfigurations, secrets and
+ * license findings by severity, and sets GitHub Actions outputs for use in
+ * workflows and PR comments.
+ *
+ * Vulnerabilities covered by an unexpired exception (see
+ * vulnerability-exceptions.js) are counted as suppressed instead.
+ *
+ * For multi-platform builds, the per-platform image scans are merged into
+ * trivy-image-results.json. Findings present on several platforms are kept
+ * once and list their platforms, and findings missing from some platforms
+ * are reported as platform-specific.
+ *
+ * The remaining image vulnerabilities are grouped into a fix plan of package
+ * upgrades (see remediation.js) and attributed to the base image of the
+ * Dockerfile or to the application layers (see base-image.js).
+ *
+ * Dockerfile misconfigurations are listed with the lines that cause them and,
+ * when the base branch Dockerfile was scanned too, marked as new or existing
+ * (see misconfigurations.js). Source code vulnerabilities are grouped by
+ * lockfile and compared with the base branch source the same way (see
+ * source-dependencies.js).
+ *
+ * Environment Variables:
+ *   VULNERABILITY_EXCEPTIONS : Inline JSON exceptions or path to a JSON file
+ *   IMAGE_PLATFORMS          : Platforms scanned by scan-platforms.sh (comma-separated)
+ *   DOCKERFILE               : Dockerfile the image was built from
+ *   BUILD_ARGS               : Build arguments (KEY=value per line) for FROM lines
+ *   BASE_IMAGE_UPGRADE       : Newer base image scanned for upgrade suggestions
+ *   BASE_DOCKERFILE_RESULTS  : Base branch Dockerfile scan results (default: trivy-dockerfile-base-results.json)
+ *   BASE_SOURCE_RESULTS      : Base branch source code scan results (default: trivy-source-base-results.json)
+ *
  * Input:
- *   - trivy-image-results.json: Trivy scan results in JSON format
- * 
+ *   - trivy-image-results.json: Container image scan results
+ *   - trivy-image-results-<platform>.json: Per-platform image scan results
+ *   - trivy-source-results.json: Source code scan results
+ *   - trivy-dockerfile-results.json: Dockerfile scan results
+ *   - trivy-base-upgrade-results.json: Newer base image scan results
+ *   - BASE_DOCKERFILE_RESULTS: Base branch Dockerfile scan results
+ *   - BASE_SOURCE_RESULTS: Base branch source code scan results
+ *
  * Output:
- *   - trivy-scan-summary.json: Summary with vulnerability counts
- *   - GitHub Actions outputs: completed, total, critical, high, medium, low
+ *   - trivy-scan-summary.json: Summary with counts per scan and finding type,
+ *     suppressed counts, the status of every exception, per-platform counts
+ *     and the base image attribution
+ *   - trivy-fix-plan.json: Ranked package upgrades and findings without a fix
+ *   - trivy-misconfigurations.json: Dockerfile misconfigurations compared with the base branch
+ *   - trivy-source-dependencies.json: Source vulnerabilities by lockfile compared with the base branch
+ *   - GitHub Actions outputs:
+ *       completed, total, critical, high, medium, low  (image vulnerabilities)
+ *       <scan>-<type>, <scan>-<type>-<severity>       (e.g. dockerfile-misconfigurations-high)
+ *       <scan>-suppressed                             (vulnerabilities suppressed by exceptions)
+ *       secrets, licenses                             (totals across all scans)
+ *       suppressed                                    (suppressed image vulnerabilities)
+ *       expired-exceptions, expiring-exceptions       (exceptions that need review)
+ *       platform-specific                             (image vulnerabilities not on every platform)
+ *       fixable-packages, unfixable                   (fix plan upgrades, vulnerabilities without a fix)
+ *       base-image, base-image-vulnerabilities        (final stage base image and its findings)
+ *       app-vulnerabilities                           (findings in the application layers)
+ *       base-upgrade-removes                          (base image findings a base upgrade removes)
+ *       new-misconfigurations                         (Dockerfile misconfigurations not on the base branch)
+ *       new-source-vulnerabilities                    (source vulnerabilities not on the base branch)
  */
 
 const fs = require('fs');
 const core = require('@actions/core');
+const { loadExceptionStatus, applyExceptions } = require('./vulnerability-exceptions');
+const { buildFixPlan } = require('./remediation');
+const { resolveBaseImage, summarizeBaseImage } = require('./base-image');
+const { extractMisconfigurations, compareMisconfigurations } = require('./misconfigurations');
+const { summarizeSourceDependencies } = require('./source-dependencies');
+const { SEVERITIES, createCounts, countSeverity } = require('./severity');
+const { readPlatformScans, mergePlatformScans } = require('./platform-scans');
+
+const SCANS = {
+  image: 'trivy-image-results.json',
+  source: 'trivy-source-results.json',
+  dockerfile: 'trivy-dockerfile-results.json'
+};
+
+const BASE_UPGRADE_RESULTS = 'trivy-base-upgrade-results.json';
+
+// Kept outside the workspace by the action so they stay out of the build context
+const BASE_DOCKERFILE_RESULTS = process.env.BASE_DOCKERFILE_RESULTS || 'trivy-dockerfile-base-results.json';
+const BASE_SOURCE_RESULTS = process.env.BASE_SOURCE_RESULTS || 'trivy-source-base-results.json';
+
+// Trivy result field for each finding type
+const FINDING_TYPES = {
+  vulnerabilities: 'Vulnerabilities',
+  misconfigurations: 'Misconfigurations',
+  secrets: 'Secrets',
+  licenses: 'Licenses'
+};
+
+/**
+ * Create empty summary for a single scan
+ */
+function createScanSummary(completed) {
+  const scan = { completed: completed };
+  
+  Object.keys(FINDING_TYPES).forEach(type => {
+    scan[type] = createCounts();
+  });
+  scan.suppressed = createCounts();
+  
+  return scan;
+}
 
 /**
- * Parse Trivy results and count vulnerabilities by severity
+ * Count findings of every type by severity in Trivy results
+ */
+function summarizeScan(rawResults, exceptions) {
+  const scan = createScanSummary(true);
+  const { results, suppressed } = applyExceptions(rawResults, exceptions);
+  
+  suppressed.forEach(finding => {
+    countSeverity(scan.suppressed, finding.severity);
+    exceptions[finding.exception].matched++;
+  });
+  
+  if (results.Results && Array.isArray(results.Results)) {
+    results.Results.forEach(result => {
+      Object.entries(FINDING_TYPES).forEach(([type, field]) => {
+        if (!Array.isArray(result[field])) {
+          return;
+        }
+        
+        result[field].forEach(finding => {
+          // Misconfiguration results may include passed checks
+          if (type === 'misconfigurations' && finding.Status === 'PASS') {
+            return;
+          }
+          
+          countSeverity(scan[type], finding.Severity);
+        });
+      });
+    });
+  }
+  
+  return scan;
+}
+
+/**
+ * Read and summarize a single scan results file
+ */
+function parseScan(name, file, exceptions) {
+  if (!fs.existsSync(file)) {
+    core.info(`  ${name}: ${file} not found`);
+    return createScanSummary(false);
+  }
+  
+  try {
+    const results = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return summarizeScan(results, exceptions);
+  } catch (error) {
+    core.warning(`⚠️  Failed to parse ${file}: ${error.message}`);
+    return createScanSummary(false);
+  }
+}
+
+/**
+ * Count new, existing and resolved source vulnerabilities across lockfiles
+ */
+function summarizeSourceChanges(sourceDependencies) {
+  const added = createCounts();
+  let existing = 0;
+  
+  sourceDependencies.targets.forEach(entry => {
+    SEVERITIES.forEach(severity => {
+      added[severity] += entry.new[severity];
+    });
+    added.total += entry.new.total;
+    existing += entry.counts.total - entry.new.total;
+  });
+  
+  return { new: added, existing: existing, resolved: sourceDependencies.resolved.length };
+}
+
+/**
+ * Count vulnerabilities per platform and collect platform-specific findings
+ */
+function summarizePlatforms(platformScans, merged, exceptions) {
+  // Counting per platform must not add to the exception match counts
+  const uncounted = () => exceptions.map(exception => ({ ...exception, matched: 0 }));
+  
+  const platforms = platformScans.map(({ platform, results }) => ({
+    platform: platform,
+    vulnerabilities: summarizeScan(results, uncounted()).vulnerabilities,
+    specific: 0
+  }));
+  
+  const vulnerabilities = [];
+  const counts = createCounts();
+  
+  applyExceptions(merged, exceptions).results.Results.forEach(result => {
+    (result.Vulnerabilities || []).forEach(vuln => {
+      if (vuln.Platforms.length === platformScans.length) {
+        return;
+      }
+      
+      countSeverity(counts, vuln.Severity);
+      
+      vulnerabilities.push({
+        id: vuln.VulnerabilityID || 'UNKNOWN',
+        target: result.Target || 'unknown',
+        package: vuln.PkgName || 'unknown',
+        version: vuln.InstalledVersion || '',
+        severity: (vuln.Severity || 'UNKNOWN').toUpperCase(),
+        fixedVersion: vuln.FixedVersion || '',
+        platforms: vuln.Platforms
+      });
+      
+      platforms
+        .filter(entry => vuln.Platforms.includes(entry.platform))
+        .forEach(entry => entry.specific++);
+    });
+  });
+  
+  return { platforms, specific: { total: counts.total, counts: counts, vulnerabilities: vulnerabilities } };
+}
+
+/**
+ * Set GitHub Actions outputs for the summary
+ */
+function setOutputs(summary) {
+  // Image vulnerability outputs
+  core.setOutput('completed', summary.completed.toString());
+  core.setOutput('total', summary.total.toString());
+  core.setOutput('critical', summary.critical.toString());
+  core.setOutput('high', summary.high.toString());
+  core.setOutput('medium', summary.medium.toString());
+  core.setOutput('low', summary.low.toString());
+  
+  // Per-scan outputs for every finding type
+  Object.entries(summary.scans).forEach(([name, scan]) => {
+    core.setOutput(`${name}-completed`, scan.completed.toString());
+    core.setOutput(`${name}-suppressed`, scan.suppressed.total.toString());
+    
+    Object.keys(FINDING_TYPES).forEach(type => {
+      core.setOutput(`${name}-${type}`, scan[type].total.toString());
+      
+      SEVERITIES.forEach(severity => {
+        core.setOutput(`${name}-${type}-${severity}`, scan[type][severity].toString());
+      });
+    });
+  });
+  
+  // Totals across all scans
+  const sumAcrossScans = type => Object.values(summary.scans).reduce((sum, scan) => sum + scan[type].total, 0);
+  core.setOutput('secrets', sumAcrossScans('secrets').toString());
+  core.setOutput('licenses', sumAcrossScans('licenses').toString());
+  
+  // Exception outputs
+  core.setOutput('suppressed', summary.suppressed.toString());
+  core.setOutput('expired-exceptions', summary.exceptions.filter(exception => exception.status === 'expired').length.toString());
+  core.setOutput('expiring-exceptions', summary.exceptions.filter(exception => exception.status === 'expiring').length.toString());
+  
+  // Platform outputs
+  core.setOutput('platform-specific', (summary.platform_specific ? summary.platform_specific.total : 0).toString());
+  
+  // Fix plan outputs
+  core.setOutput('fixable-packages', (summary.fix_plan ? summary.fix_plan.upgrades : 0).toString());
+  core.setOutput('unfixable', (summary.fix_plan ? summary.fix_plan.unfixable : 0).toString());
+  
+  // Base image outputs
+  const baseImage = summary.base_image;
+  core.setOutput('base-image', baseImage ? baseImage.image : '');
+  core.setOutput('base-image-vulnerabilities', (baseImage ? baseImage.base.total : 0).toString());
+  core.setOutput('app-vulnerabilities', (baseImage ? baseImage.app.total : 0).toString());
+  core.setOutput('base-upgrade-removes', (baseImage && baseImage.upgrade ? baseImage.upgrade.removed.total : 0).toString());
+  
+  // Dockerfile misconfigurations introduced by this change
+  core.setOutput('new-misconfigurations', (summary.dockerfile_changes ? summary.dockerfile_changes.new : 0).toString());
+  
+  // Source vulnerabilities introduced by dependency changes
+  core.setOutput('new-source-vulnerabilities', (summary.source_changes ? summary.source_changes.new.total : 0).toString());
+}
+
+/**
+ * Log exception status and warn about exceptions that need review
+ */
+function reportExceptions(exceptions) {
+  if (exceptions.length === 0) {
+    return;
+  }
+  
+  core.info(`🙈 Vulnerability exceptions: ${exceptions.length}`);
+  exceptions.forEach(exception => {
+    const subject = `${exception.id}${exception.package ? ` (${exception.package})` : ''}`;
+    
+    if (exception.status === 'expired') {
+      core.warning(`⏰ Exception for ${subject} expired on ${exception.expires} and no longer suppresses it: ${exception.ticket}`);
+    } else if (exception.status === 'expiring') {
+      core.warning(`⏳ Exception for ${subject} expires on ${exception.expires}, review it: ${exception.ticket}`);
+    } else {
+      core.info(`  ${subject}: until ${exception.expires}, ${exception.matched} suppressed`);
+    }
+  });
+}
+
+/**
+ * Parse Trivy results and count findings by severity
  */
 function parseTrivyResults() {
   try {
     core.info('📊 Parsing Trivy scan results...');
     
-    // Check if results file exists
-    if (!fs.existsSync('trivy-image-results.json')) {
+    // Matches are counted per exception for the report
+    const exceptions = loadExceptionStatus(process.env.VULNERABILITY_EXCEPTIONS || '', core)
+      .map(exception => ({ ...exception, matched: 0 }));
+    
+    // Multi-platform builds replace the image results with the merged platform scans
+    const platformScans = readPlatformScans('trivy-image-results', process.env.IMAGE_PLATFORMS || '', core);
+    let platformSummary = null;
+    if (platformScans.length > 1) {
+      const merged = mergePlatformScans(platformScans);
+      fs.writeFileSync(SCANS.image, JSON.stringify(merged, null, 2));
+      platformSummary = summarizePlatforms(platformScans, merged, exceptions);
+      core.info(`  Merged image scans of ${platformScans.map(entry => entry.platform).join(', ')}`);
+    }
+    
+    const scans = {};
+    Object.entries(SCANS).forEach(([name, file]) => {
+      scans[name] = parseScan(name, file, exceptions);
+    });
+    
+    if (!scans.image.completed) {
       core.warning('⚠️  trivy-image-results.json not found');
+    }
+    
+    let fixPlan = null;
+    let baseImage = null;
+    if (scans.image.completed) {
+      const imageResults = applyExceptions(JSON.parse(fs.readFileSync(SCANS.image, 'utf8')), exceptions).results;
       
-      // Write empty summary
-      const emptySummary = {
-        completed: false,
-        total: 0,
-        critical: 0,
-        high: 0,
-        medium: 0,
-        low: 0,
-        unknown: 0
-      };
-      
-      fs.writeFileSync('trivy-scan-summary.json', JSON.stringify(emptySummary, null, 2));
-      
-      // Set outputs
-      core.setOutput('completed', 'false');
-      core.setOutput('total', '0');
-      core.setOutput('critical', '0');
-      core.setOutput('high', '0');
-      core.setOutput('medium', '0');
-      core.setOutput('low', '0');
+      // Group the vulnerabilities left after exceptions into package upgrades
+      fixPlan = buildFixPlan(imageResults);
+      fs.writeFileSync('trivy-fix-plan.json', JSON.stringify(fixPlan, null, 2));
       
-      return;
+      // Attribute them to the base image or the application layers
+      const upgradeImage = (process.env.BASE_IMAGE_UPGRADE || '').trim();
+      const upgradeResults = upgradeImage && fs.existsSync(BASE_UPGRADE_RESULTS)
+        ? applyExceptions(JSON.parse(fs.readFileSync(BASE_UPGRADE_RESULTS, 'utf8')), exceptions).results
+        : null;
+      if (upgradeImage && !upgradeResults) {
+        core.warning(`⚠️  ${BASE_UPGRADE_RESULTS} not found, ${upgradeImage} is not compared`);
+      }
+      baseImage = summarizeBaseImage(imageResults, resolveBaseImage(process.env.DOCKERFILE || '', process.env.BUILD_ARGS || ''), upgradeResults, upgradeImage);
     }
     
-    // Read and parse Trivy results
-    const resultsContent = fs.readFileSync('trivy-image-results.json', 'utf8');
-    const results = JSON.parse(resultsContent);
-    
-    // Initialize counters
-    const counts = {
-      critical: 0,
-      high: 0,
-      medium: 0,
-      low: 0,
-      unknown: 0
-    };
-    
-    // Parse results based on Trivy JSON structure
-    if (results.Results && Array.isArray(results.Results)) {
-      results.Results.forEach(result => {
-        if (result.Vulnerabilities && Array.isArray(result.Vulnerabilities)) {
-          result.Vulnerabilities.forEach(vuln => {
-            const severity = (vuln.Severity || 'UNKNOWN').toUpperCase();
-            
-            switch (severity) {
-              case 'CRITICAL':
-                counts.critical++;
-                break;
-              case 'HIGH':
-                counts.high++;
-                break;
-              case 'MEDIUM':
-                counts.medium++;
-                break;
-              case 'LOW':
-                counts.low++;
-                break;
-              default:
-                counts.unknown++;
-            }
-          });
-        }
-      });
+    let misconfigurations = null;
+    if (scans.dockerfile.completed) {
+      // List every Dockerfile misconfiguration, marked new or existing against the base branch
+      const baseline = fs.existsSync(BASE_DOCKERFILE_RESULTS)
+        ? extractMisconfigurations(JSON.parse(fs.readFileSync(BASE_DOCKERFILE_RESULTS, 'utf8')))
+        : null;
+      misconfigurations = compareMisconfigurations(extractMisconfigurations(JSON.parse(fs.readFileSync(SCANS.dockerfile, 'utf8'))), baseline);
+      fs.writeFileSync('trivy-misconfigurations.json', JSON.stringify(misconfigurations, null, 2));
     }
     
-    // Calculate total
-    const total = counts.critical + counts.high + counts.medium + counts.low + counts.unknown;
+    let sourceDependencies = null;
+    if (scans.source.completed) {
+      // Group source vulnerabilities by lockfile, marked new or existing against the base branch
+      const baseline = fs.existsSync(BASE_SOURCE_RESULTS)
+        ? applyExceptions(JSON.parse(fs.readFileSync(BASE_SOURCE_RESULTS, 'utf8')), exceptions).results
+        : null;
+      sourceDependencies = summarizeSourceDependencies(applyExceptions(JSON.parse(fs.readFileSync(SCANS.source, 'utf8')), exceptions).results, baseline);
+      fs.writeFileSync('trivy-source-dependencies.json', JSON.stringify(sourceDependencies, null, 2));
+    }
     
-    // Create summary object
+    // Image vulnerabilities stay at the top level for existing consumers
+    const image = scans.image.vulnerabilities;
     const summary = {
-      completed: true,
-      total: total,
-      critical: counts.critical,
-      high: counts.high,
-      medium: counts.medium,
-      low: counts.low,
-      unknown: counts.unknown
+      completed: scans.image.completed,
+      total: image.total,
+      critical: image.critical,
+      high: image.high,
+      medium: image.medium,
+      low: image.low,
+      unknown: image.unknown,
+      suppressed: scans.image.suppressed.total,
+      scans: scans,
+      exceptions: exceptions,
+      platforms: platformSummary ? platformSummary.platforms : [],
+      platform_specific: platformSummary ? platformSummary.specific : null,
+      fix_plan: fixPlan ? { upgrades: fixPlan.upgrades.length, fixable: fixPlan.fixable, unfixable: fixPlan.unfixable.total } : null,
+      base_image: baseImage,
+      dockerfile_changes: misconfigurations && misconfigurations.compared ? {
+        new: misconfigurations.findings.filter(finding => finding.status === 'new').length,
+        existing: misconfigurations.findings.filter(finding => finding.status === 'existing').length,
+        resolved: misconfigurations.resolved.length
+      } : null,
+      source_changes: sourceDependencies && sourceDependencies.compared ? summarizeSourceChanges(sourceDependencies) : null
     };
     
     // Write summary to file
     fs.writeFileSync('trivy-scan-summary.json', JSON.stringify(summary, null, 2));
     
     // Set GitHub Actions outputs
-    core.setOutput('completed', 'true');
-    core.setOutput('total', total.toString());
-    core.setOutput('critical', counts.critical.toString());
-    core.setOutput('high', counts.high.toString());
-    core.setOutput('medium', counts.medium.toString());
-    core.setOutput('low', counts.low.toString());
+    setOutputs(summary);
     
     // Log summary
-    core.info('✅ Vulnerability scan summary:');
-    core.info(`  Total: ${total}`);
-    core.info(`  Critical: ${counts.critical}`);
-    core.info(`  High: ${counts.high}`);
-    core.info(`  Medium: ${counts.medium}`);
-    core.info(`  Low: ${counts.low}`);
-    
-    if (counts.unknown > 0) {
-      core.info(`  Unknown: ${counts.unknown}`);
+    core.info('✅ Scan summary:');
+    Object.entries(scans).forEach(([name, scan]) => {
+      if (!scan.completed) {
+        return;
+      }
+      
+      core.info(`  ${name}:`);
+      Object.keys(FINDING_TYPES).forEach(type => {
+        const counts = scan[type];
+        if (counts.total > 0 || type === 'vulnerabilities') {
+          core.info(`    ${type}: ${counts.total} (Critical: ${counts.critical}, High: ${counts.high}, Medium: ${counts.medium}, Low: ${counts.low}, Unknown: ${counts.unknown})`);
+        }
+      });
+      if (scan.suppressed.total > 0) {
+        core.info(`    suppressed by exceptions: ${scan.suppressed.total}`);
+      }
+    });
+    
+    if (platformSummary) {
+      core.info('  platforms:');
+      platformSummary.platforms.forEach(entry => {
+        const counts = entry.vulnerabilities;
+        core.info(`    ${entry.platform}: ${counts.total} (Critical: ${counts.critical}, High: ${counts.high}, Medium: ${counts.medium}, Low: ${counts.low}), ${entry.specific} platform-specific`);
+      });
+    }
+    
+    if (baseImage && baseImage.image) {
+      core.info(`  base image ${baseImage.image}: ${baseImage.base.total} of ${baseImage.base.total + baseImage.app.total} vulnerabilities, ${baseImage.app.total} in application layers`);
+    }
+    if (baseImage && baseImage.upgrade && baseImage.upgrade.completed) {
+      core.info(`  upgrading to ${baseImage.upgrade.image} removes ${baseImage.upgrade.removed.total} and adds ${baseImage.upgrade.added.total} base image vulnerabilities`);
+    }
+    if (summary.dockerfile_changes) {
+      const changes = summary.dockerfile_changes;
+      core.info(`  dockerfile vs base branch: ${changes.new} new, ${changes.existing} existing, ${changes.resolved} resolved misconfigurations`);
+    }
+    if (summary.source_changes) {
+      const changes = summary.source_changes;
+      core.info(`  source vs base branch: ${changes.new.total} new, ${changes.existing} existing, ${changes.resolved} resolved vulnerabilities`);
+    }
+    if (fixPlan && fixPlan.upgrades.length > 0) {
+      core.info(`  fix plan: ${fixPlan.upgrades.length} package upgrade(s) fix ${fixPlan.fixable} vulnerabilities, ${fixPlan.unfixable.total} without a fix`);
     }
     
+    reportExceptions(exceptions);
+  
   } catch (error) {
     core.error(`❌ Failed to parse Trivy results: ${error.message}`);
     
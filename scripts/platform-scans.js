@@ -0,0 +1,106 @@
+/**
+ * Platform Scans
+ * ==============
+ * Reads and merges the per-platform image scans of a multi-platform build
+ *
+ * scan-platforms.sh scans every platform of an image into its own file
+ * (e.g. trivy-image-results-linux-arm64.json). The current image and the
+ * baseline image are merged the same way, so the comparison never sees
+ * findings of one platform as new or resolved on the other.
+ */
+
+const fs = require('fs');
+
+// Trivy result fields holding findings
+const FINDING_FIELDS = ['Vulnerabilities', 'Misconfigurations', 'Secrets', 'Licenses'];
+
+/**
+ * Read the per-platform scans written with the given file prefix
+ *
+ * @param {string} prefix - Result file prefix (e.g. "trivy-image-results")
+ * @param {string} platformsInput - Scanned platforms (comma-separated)
+ * @param {{warning: function(string)}} logger - Receives missing or unreadable files
+ * @returns {Array<{platform: string, results: object}>} Scans that could be read
+ */
+function readPlatformScans(prefix, platformsInput, logger) {
+  const platforms = platformsInput.split(',').map(platform => platform.trim()).filter(Boolean);
+  const platformScans = [];
+  
+  platforms.forEach(platform => {
+    const file = `${prefix}-${platform.replace(/\//g, '-')}.json`;
+    if (!fs.existsSync(file)) {
+      logger.warning(`⚠️  ${file} not found, ${platform} is not included`);
+      return;
+    }
+    
+    try {
+      platformScans.push({ platform: platform, results: JSON.parse(fs.readFileSync(file, 'utf8')) });
+    } catch (error) {
+      logger.warning(`⚠️  Failed to parse ${file}: ${error.message}`);
+    }
+  });
+  
+  return platformScans;
+}
+
+/**
+ * Key identifying a finding within a result, regardless of platform
+ */
+function getPlatformFindingKey(field, finding) {
+  if (field === 'Vulnerabilities') {
+    return `${finding.PkgPath || ''}|${finding.PkgName}|${finding.InstalledVersion}|${finding.VulnerabilityID}`;
+  }
+  const { Platforms, ...rest } = finding;
+  return JSON.stringify(rest);
+}
+
+/**
+ * Merge per-platform image scans into a single result set
+ *
+ * Findings reported on several platforms are kept once and list the
+ * platforms they were found on in a "Platforms" field.
+ */
+function mergePlatformScans(platformScans) {
+  const merged = { ...platformScans[0].results, Results: [] };
+  const results = new Map();
+  
+  platformScans.forEach(({ platform, results: platformResults }) => {
+    (platformResults.Results || []).forEach(result => {
+      const resultKey = `${result.Target}|${result.Class || ''}|${result.Type || ''}`;
+      
+      if (!results.has(resultKey)) {
+        const entry = { ...result };
+        FINDING_FIELDS.forEach(field => {
+          if (Array.isArray(result[field])) {
+            entry[field] = [];
+          }
+        });
+        merged.Results.push(entry);
+        results.set(resultKey, { entry: entry, findings: new Map() });
+      }
+      
+      const { entry, findings } = results.get(resultKey);
+      FINDING_FIELDS.forEach(field => {
+        (result[field] || []).forEach(finding => {
+          const key = `${field}|${getPlatformFindingKey(field, finding)}`;
+          if (findings.has(key)) {
+            findings.get(key).Platforms.push(platform);
+            return;
+          }
+          
+          const copy = { ...finding, Platforms: [platform] };
+          entry[field] = entry[field] || [];
+          entry[field].push(copy);
+          findings.set(key, copy);
+        });
+      });
+    });
+  });
+  
+  return merged;
+}
+
+module.exports = {
+  readPlatformScans,
+  mergePlatformScans
+};
@@ -10,16 +10,60 @@
  * - Registry-specific instructions
  * - Build metadata and links
  * 
+ * The same report is written to the workflow job summary on every run,
+ * so builds without a pull request (e.g. staging pushes) are reported too.
+ * 
+ * The PR comment also keeps a collapsed history of previous builds on the
+ * PR and a "since last push" delta against the previous commit's scan.
+ * 
+ * Findings suppressed by vulnerability exceptions are counted separately,
+ * and exceptions that have expired or are about to expire are called out.
+ * 
  * Environment Variables:
- *   BUILD_FLOW_TYPE      : Detected flow (pr, dev, patch, staging, wip)
+ *   BUILD_FLOW_TYPE      : Detected flow (pr, dev, patch, staging, wip or a custom flow)
+ *   FLOW_RULES           : Flow rules config, used for custom flow metadata
  *   IMAGE_TAGS           : Comma-separated image tags
+ *   FLOATING_TAGS        : Tag names that move with every build (newline-separated)
  *   REGISTRY_URLS        : Registry pull commands
- *   PR_COMMENT_TEMPLATE  : Optional custom template
- *   REGISTRY             : Target registry config
+ *   PR_COMMENT_TEMPLATE  : Optional custom template (inline or file path)
+ *   REGISTRY             : Comma-separated ids of the target registries
+ *   REGISTRY_DISPLAY     : Combined display name of the target registries
+ *   REGISTRIES_JSON      : Resolved registry list (id, host, namespace, display, image)
+ *   BUILD_DIGEST         : SHA256 digest of the built image
+ *   RELEASE_VERSION      : Semantic version of a release build (release flow only)
+ *   PR_COMMENT_ENABLED   : Post the report as a PR comment
+ *   JOB_SUMMARY_ENABLED  : Write the report to the workflow job summary
+ *   JOB_SUMMARY_TEMPLATE : Optional custom job summary template (inline or file path)
+ *   COMMENT_IDENTIFIER   : Identifies this build's comment (defaults to image name + Dockerfile)
+ *   COMMENT_MODE         : separate (one comment per build) or combined (one comment per group)
+ *   COMMENT_GROUP        : Group key for combined comments
+ *   IMAGE_NAME           : Base image name, used for the default comment identifier
+ *   DOCKERFILE           : Dockerfile path, used for the default comment identifier
  */
 
 const fs = require('fs');
 const path = require('path');
+const { renderTemplate } = require('./template-engine');
+const { renderWithinBudget, renderFullReport } = require('./vulnerability-details');
+const { BUILTIN_FLOWS, loadFlowConfig } = require('./flow-rules');
+const { fingerprintFindings, readHistory, appendEntry, serializeHistory, renderHistory } = require('./build-history');
+const { DETAILS_PLACEHOLDER, readJsonIfExists, loadScanResults, renderSecuritySection } = require('./security-report');
+const { renderImageSize } = require('./image-size');
+const { renderSbomDiff } = require('./sbom-diff');
+
+// GitHub rejects comments above 65,536 characters; job summaries allow 1 MiB
+const COMMENT_LIMIT = 65536;
+const JOB_SUMMARY_LIMIT = 1024 * 1024;
+const HISTORY_PLACEHOLDER = '<!-- build-history -->';
+
+// Hidden markers identifying comments owned by this action
+const MARKER_PREFIX = 'container-build-flow';
+const LEGACY_COMMENT_FOOTER = 'Powered by [Container Build Flow Action]';
+
+/**
+ * Restrict identifiers to characters that are safe inside HTML comments and artifact names
+ */
+const sanitizeIdentifier = value => value.trim().replace(/[^A-Za-z0-9._\/:@+-]/g, '-').replace(/-{2,}/g, '-');
 
 module.exports = async ({github, context, core}) => {
   try {
@@ -29,10 +73,26 @@ module.exports = async ({github, context, core}) => {
     
     const buildFlowType = process.env.BUILD_FLOW_TYPE || 'unknown';
     const imageTags = process.env.IMAGE_TAGS || '';
+    const floatingTagNames = process.env.FLOATING_TAGS || '';
     const registryUrls = process.env.REGISTRY_URLS || '';
     const customTemplate = process.env.PR_COMMENT_TEMPLATE || '';
     const registry = process.env.REGISTRY || 'both';
+    const registryDisplayName = process.env.REGISTRY_DISPLAY || '';
     const resolvedSha = process.env.RESOLVED_SHA || context.sha;
+    const buildDigest = process.env.BUILD_DIGEST || '';
+    const releaseVersion = process.env.RELEASE_VERSION || '';
+    const prCommentEnabled = process.env.PR_COMMENT_ENABLED || 'true';
+    const jobSummaryEnabled = process.env.JOB_SUMMARY_ENABLED || 'true';
+    const jobSummaryTemplate = process.env.JOB_SUMMARY_TEMPLATE || '';
+    const commentMode = process.env.COMMENT_MODE || 'separate';
+    const commentGroup = sanitizeIdentifier(process.env.COMMENT_GROUP || 'default');
+    const commentIdentifier = sanitizeIdentifier(
+      process.env.COMMENT_IDENTIFIER ||
+      `${process.env.IMAGE_NAME || context.repo.repo}:${(process.env.DOCKERFILE || 'Dockerfile').replace(/^\.\//, '')}`
+    );
+    
+    // Artifact names cannot contain slashes or colons
+    core.setOutput('report-id', commentIdentifier.replace(/[^A-Za-z0-9._-]/g, '-'));
     
     // Read version from package.json
     let actionVersion = '1.0.0'; // fallback version
@@ -50,277 +110,275 @@ module.exports = async ({github, context, core}) => {
     const imageScanEnabled = process.env.IMAGE_SCAN_ENABLED || 'true';
     const comparisonEnabled = process.env.ENABLE_IMAGE_COMPARISON || 'false';
     
-    core.info('📝 Generating PR comment...');
+    core.info('📝 Generating build report...');
     core.debug(`Flow Type: ${buildFlowType}`);
     core.debug(`Registry: ${registry}`);
+    core.debug(`Comment identifier: ${commentIdentifier} (${commentMode})`);
     
     // =============================================================================
     // FLOW TYPE METADATA
     // =============================================================================
     
-    const flowMetadata = {
-      pr: {
-        emoji: '🔧',
-        title: 'PR Build',
-        description: 'Feature development and testing',
-        color: '#0366d6'
-      },
-      dev: {
-        emoji: '🛠️',
-        title: 'Dev Build',
-        description: 'Development and testing',
-        color: '#28a745'
-      },
-      patch: {
-        emoji: '🔥',
-        title: 'Patch Build',
-        description: 'Hotfix for production',
-        color: '#d73a49'
-      },
-      wip: {
-        emoji: '⚡',
-        title: 'WIP Build',
-        description: 'Work in progress experiment',
-        color: '#ffd33d'
+    // Built-in flows plus custom flows from the flow rules config
+    let flowMetadata = BUILTIN_FLOWS;
+    try {
+      flowMetadata = loadFlowConfig(process.env.FLOW_RULES || '').flows;
+    } catch (error) {
+      core.warning(`Could not load flow rules, using built-in flow metadata: ${error.message}`);
+    }
+    
+    const flow = flowMetadata[buildFlowType] || flowMetadata.wip;
+    
+    // =============================================================================
+    // SCAN RESULTS
+    // =============================================================================
+    
+    // Image results come without findings suppressed by vulnerability exceptions
+    const scanResults = loadScanResults();
+    const scanSummary = scanResults.summary;
+    const imageResults = scanResults.imageResults;
+    
+    // =============================================================================
+    // SHARED REPORT CONTENT
+    // =============================================================================
+    
+    // Parse registry URLs for display
+    const pullCommands = registryUrls.split('\n').filter(line => line.trim());
+    const pullCommandsMarkdown = pullCommands.map(cmd => `\`\`\`bash\n${cmd}\n\`\`\``).join('\n\n');
+    
+    // Get repository information
+    const repoUrl = `${context.payload.repository.html_url}`;
+    const commitSha = resolvedSha.substring(0, 7);
+    const commitUrl = `${repoUrl}/commit/${resolvedSha}`;
+    
+    // Format registry display (resolved by resolve-registries.js)
+    const registryDisplay = registryDisplayName || registry;
+    
+    let registries = [];
+    try {
+      registries = JSON.parse(process.env.REGISTRIES_JSON || '[]');
+    } catch (e) {
+      core.debug(`Could not parse REGISTRIES_JSON: ${e.message}`);
+    }
+    
+    // Floating tags move with every build; all other tags point to this build only
+    const floatingTags = floatingTagNames.split('\n').map(tag => tag.trim()).filter(tag => tag);
+    const imageTagDetails = imageTags
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(tag => tag)
+      .map(ref => ({ ref: ref, floating: floatingTags.includes(ref.substring(ref.lastIndexOf(':') + 1)) }))
+      .sort((a, b) => Number(a.floating) - Number(b.floating));
+    
+    // Format image tags for better readability
+    const imageTagsList = imageTagDetails
+      .map(tag => `• \`${tag.ref}\` ${tag.floating ? '🔄 floating' : '📌 immutable'}`)
+      .join('<br/>');
+    
+    // Generate security section; vulnerability details are filled in per report
+    const security = vulnerabilityCommentEnabled === 'true'
+      ? renderSecuritySection(scanResults, {
+        preBuildScan: preBuildScanEnabled === 'true',
+        imageScan: imageScanEnabled === 'true',
+        comparison: comparisonEnabled === 'true',
+        securityTabUrl: `${context.payload.repository.html_url}/security/code-scanning`,
+        dockerfileUrl: `${repoUrl}/blob/${resolvedSha}/${(process.env.DOCKERFILE || 'Dockerfile').replace(/^\.\//, '')}`
+      })
+      : { markdown: '', findings: [] };
+    const securitySection = security.markdown;
+    const detailFindings = security.findings;
+    
+    // Image size and layer changes against the baseline (measure-image-size.js)
+    const imageSize = readJsonIfExists('image-size.json');
+    const imageSizeSection = renderImageSize(imageSize);
+    
+    // Packages added, removed or changed since the baseline image (generate-sbom-diff.js)
+    const packageDiff = readJsonIfExists('sbom-diff.json');
+    const packageChangesSection = renderSbomDiff(packageDiff);
+    
+    const footer = `<sub>🤖 Powered by [Container Build Flow Action](https://github.com/wgtechlabs/container-build-flow-action) v${actionVersion}  
+💻 with ❤️ by [Waren Gonzaga](https://warengonzaga.com) under [WG Technology Labs](https://wgtechlabs.com), and [Him](https://www.youtube.com/watch?v=HHrxS4diLew&t=44s) 🙏</sub>`;
+    
+    // =============================================================================
+    // CUSTOM TEMPLATES
+    // =============================================================================
+    
+    // Flatten image vulnerabilities for template loops
+    const vulnerabilities = [];
+    if (imageResults && Array.isArray(imageResults.Results)) {
+      imageResults.Results.forEach(result => {
+        (result.Vulnerabilities || []).forEach(vuln => {
+          vulnerabilities.push({
+            id: vuln.VulnerabilityID || 'UNKNOWN',
+            target: result.Target || 'Package',
+            package: vuln.PkgName || 'unknown',
+            version: vuln.InstalledVersion || '',
+            severity: (vuln.Severity || 'UNKNOWN').toUpperCase(),
+            title: vuln.Title || '',
+            fixedVersion: vuln.FixedVersion || '',
+            url: vuln.PrimaryURL || ''
+          });
+        });
+      });
+    }
+    
+    const comparisonReport = scanResults.comparison;
+    const digestRow = buildDigest && buildDigest !== 'none' ? `| **Digest** | \`${buildDigest}\` |\n` : '';
+    const versionRow = releaseVersion ? `| **Version** | \`${releaseVersion}\` |\n` : '';
+    
+    // Every computed value is available to custom templates
+    const templateData = {
+      flow: { type: buildFlowType, version: releaseVersion, ...flow },
+      build: {
+        digest: buildDigest && buildDigest !== 'none' ? buildDigest : '',
+        registry: registry,
+        registryDisplay: registryDisplay,
+        registries: registries,
+        tags: imageTags.split(',').map(tag => tag.trim()).filter(tag => tag),
+        tagDetails: imageTagDetails,
+        pullCommands: pullCommands
       },
-      staging: {
-        emoji: '🚀',
-        title: 'Staging Build',
-        description: 'Pre-production validation',
-        color: '#ffd700'
+      commit: { sha: resolvedSha, shortSha: commitSha, url: commitUrl },
+      repository: { url: repoUrl, owner: context.repo.owner, name: context.repo.repo },
+      event: { name: context.eventName, ref: context.ref },
+      summary: scanSummary,
+      comparison: comparisonReport && comparisonReport.comparison_available ? comparisonReport : null,
+      gate: readJsonIfExists('trivy-gate-results.json'),
+      fixPlan: scanResults.fixPlan,
+      imageSize: imageSize,
+      packageDiff: packageDiff && packageDiff.compared ? packageDiff : null,
+      vulnerabilities: vulnerabilities,
+      action: { version: actionVersion }
+    };
+    
+    // Reusable sections of the default layout
+    const templatePartials = {
+      security: () => securitySection,
+      imageSize: () => imageSizeSection,
+      packageChanges: () => packageChangesSection,
+      history: () => HISTORY_PLACEHOLDER,
+      pullCommands: () => pullCommandsMarkdown,
+      imageTags: () => imageTagsList,
+      buildDetails: () => `| Property | Value |
+|----------|-------|
+| **Flow Type** | \`${buildFlowType}\` |
+${versionRow}| **Commit** | [\`${commitSha}\`](${commitUrl}) |
+| **Registry** | ${registryDisplay} |
+${digestRow}`,
+      footer: () => footer
+    };
+    
+    // Templates can be inline or a path to a file in the repository
+    const loadTemplate = value => {
+      const candidate = value.trim();
+      if (!candidate.includes('\n') && fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        core.info(`Loading template from ${candidate}`);
+        return fs.readFileSync(candidate, 'utf8');
       }
+      return value;
     };
     
-    const flow = flowMetadata[buildFlowType] || flowMetadata.wip;
+    // Render a custom template, returning null so callers fall back to the default layout
+    const applyTemplate = (value, label) => {
+      try {
+        // Legacy placeholders are replaced after rendering, so {{...}} tags stay with the engine
+        return renderTemplate(loadTemplate(value), templateData, templatePartials)
+          .replace(/{BUILD_FLOW}/g, () => buildFlowType)
+          .replace(/{IMAGE_TAGS}/g, () => imageTags)
+          .replace(/{REGISTRY_URLS}/g, () => registryUrls);
+      } catch (error) {
+        core.warning(`Invalid ${label} template, using default layout: ${error.message}`);
+        return null;
+      }
+    };
     
     // =============================================================================
-    // SECURITY SCANNING SECTION GENERATION
+    // SIZE-AWARE VULNERABILITY DETAILS
     // =============================================================================
     
-    const generateSecuritySection = () => {
-      // Check if security scanning is disabled
-      if (vulnerabilityCommentEnabled !== 'true') {
-        return '';
+    const runUrl = `${repoUrl}/actions/runs/${context.runId}`;
+    
+    // Render details into the room left by the rest of the body
+    const fillVulnerabilityDetails = (body, limit) => {
+      if (!body.includes(DETAILS_PLACEHOLDER)) {
+        return body;
       }
       
-      let securitySection = '\n---\n\n## 🔒 Security Scan Results\n\n';
+      const budget = Math.max(limit - (body.length - DETAILS_PLACEHOLDER.length) - 1000, 0);
+      const rendered = renderWithinBudget(detailFindings, budget);
       
-      // Pre-build scan results
-      if (preBuildScanEnabled === 'true') {
-        securitySection += '### 📋 Pre-Build Security Checks\n\n';
-        
-        let preBuildChecks = [];
-        
-        // Check source code scan results
-        if (fs.existsSync('trivy-source-results.json')) {
-          try {
-            const sourceResults = JSON.parse(fs.readFileSync('trivy-source-results.json', 'utf8'));
-            let sourceVulnCount = 0;
-            const sourceVulnerabilities = Array.isArray(sourceResults.Results) ? sourceResults.Results : [];
-            sourceVulnerabilities.forEach(result => {
-              if (result.Vulnerabilities) {
-                sourceVulnCount += result.Vulnerabilities.length;
-              }
-            });
-            preBuildChecks.push(`✅ **Source Code Scan:** ${sourceVulnCount} vulnerabilities found`);
-          } catch (e) {
-            preBuildChecks.push('⚠️ **Source Code Scan:** Completed (results unavailable)');
-          }
-        }
-        
-        // Check Dockerfile scan results
-        if (fs.existsSync('trivy-dockerfile-results.json')) {
-          try {
-            const dockerfileResults = JSON.parse(fs.readFileSync('trivy-dockerfile-results.json', 'utf8'));
-            let dockerfileIssues = 0;
-            const dockerfileMisconfigurations = Array.isArray(dockerfileResults.Results) ? dockerfileResults.Results : [];
-            dockerfileMisconfigurations.forEach(result => {
-              if (result.Misconfigurations) {
-                dockerfileIssues += result.Misconfigurations.length;
-              }
-            });
-            preBuildChecks.push(`✅ **Dockerfile Scan:** ${dockerfileIssues} misconfigurations found`);
-          } catch (e) {
-            preBuildChecks.push('⚠️ **Dockerfile Scan:** Completed (results unavailable)');
-          }
-        }
-        
-        if (preBuildChecks.length > 0) {
-          securitySection += preBuildChecks.join('  \n') + '\n\n';
-        } else {
-          securitySection += '*Pre-build scans were not performed or results are unavailable.*\n\n';
-        }
-      }
+      let details = '<details>\n<summary>📋 View Vulnerability Details</summary>\n\n' + rendered.markdown;
       
-      // Container image scan results
-      if (imageScanEnabled === 'true') {
-        securitySection += '### 🐳 Container Image Vulnerabilities\n\n';
+      if (rendered.omitted > 0 || rendered.reduced) {
+        fs.writeFileSync('trivy-vulnerability-details.md', renderFullReport(detailFindings, `Vulnerability Details - ${commitSha}`));
         
-        // Check if scan summary exists
-        if (fs.existsSync('trivy-scan-summary.json')) {
-          try {
-            const summary = JSON.parse(fs.readFileSync('trivy-scan-summary.json', 'utf8'));
-            
-            if (summary.completed) {
-              // Check if comparison is enabled and available
-              if (comparisonEnabled === 'true' && fs.existsSync('trivy-comparison.json')) {
-                try {
-                  const comparison = JSON.parse(fs.readFileSync('trivy-comparison.json', 'utf8'));
-                  
-                  if (comparison.comparison_available) {
-                    // Show comparison table
-                    securitySection += '#### Vulnerability Comparison\n\n';
-                    securitySection += '| Category | Critical | High | Medium | Low | Total |\n';
-                    securitySection += '|----------|----------|------|--------|-----|-------|\n';
-                    securitySection += `| 🆕 **New** | ${comparison.new.counts.critical} | ${comparison.new.counts.high} | ${comparison.new.counts.medium} | ${comparison.new.counts.low} | **${comparison.new.total}** |\n`;
-                    securitySection += `| ✅ **Fixed** | ${comparison.fixed.counts.critical} | ${comparison.fixed.counts.high} | ${comparison.fixed.counts.medium} | ${comparison.fixed.counts.low} | **${comparison.fixed.total}** |\n`;
-                    securitySection += `| 🔄 **Unchanged** | ${comparison.unchanged.counts.critical} | ${comparison.unchanged.counts.high} | ${comparison.unchanged.counts.medium} | ${comparison.unchanged.counts.low} | **${comparison.unchanged.total}** |\n`;
-                    securitySection += `| 📊 **Current Total** | ${summary.critical} | ${summary.high} | ${summary.medium} | ${summary.low} | **${summary.total}** |\n\n`;
-                    
-                    // Add comparison insights
-                    if (comparison.new.total > 0) {
-                      securitySection += `⚠️ **${comparison.new.total} new vulnerabilities** introduced in this build\n\n`;
-                    }
-                    if (comparison.fixed.total > 0) {
-                      securitySection += `✅ **${comparison.fixed.total} vulnerabilities** fixed in this build\n\n`;
-                    }
-                  } else {
-                    // Comparison not available, show regular table
-                    showRegularVulnTable();
-                  }
-                } catch (e) {
-                  showRegularVulnTable();
-                }
-              } else {
-                // No comparison, show regular vulnerability table
-                showRegularVulnTable();
-              }
-              
-              function showRegularVulnTable() {
-                securitySection += '| Severity | Count |\n';
-                securitySection += '|----------|-------|\n';
-                if (summary.critical > 0) {
-                  securitySection += `| 🔴 **Critical** | ${summary.critical} |\n`;
-                }
-                if (summary.high > 0) {
-                  securitySection += `| 🟠 **High** | ${summary.high} |\n`;
-                }
-                if (summary.medium > 0) {
-                  securitySection += `| 🟡 **Medium** | ${summary.medium} |\n`;
-                }
-                if (summary.low > 0) {
-                  securitySection += `| 🟢 **Low** | ${summary.low} |\n`;
-                }
-                securitySection += `| **Total** | **${summary.total}** |\n\n`;
-              }
-              
-              // Add details section with vulnerability list
-              if (summary.total > 0 && fs.existsSync('trivy-image-results.json')) {
-                try {
-                  const results = JSON.parse(fs.readFileSync('trivy-image-results.json', 'utf8'));
-
-                  securitySection += '<details>\n<summary>📋 View Vulnerability Details</summary>\n\n';
-
-                  const imageResults = Array.isArray(results.Results) ? results.Results : [];
-                  imageResults.forEach((result, idx) => {
-                      if (result.Vulnerabilities && result.Vulnerabilities.length > 0) {
-                        securitySection += `\n**${result.Target || 'Package'}**\n\n`;
-                        
-                        // Limit to first 20 vulnerabilities to avoid huge comments
-                        const vulnsToShow = result.Vulnerabilities.slice(0, 20);
-                        
-                        vulnsToShow.forEach(vuln => {
-                          const severity = vuln.Severity || 'UNKNOWN';
-                          const severityEmoji = {
-                            'CRITICAL': '🔴',
-                            'HIGH': '🟠',
-                            'MEDIUM': '🟡',
-                            'LOW': '🟢',
-                            'UNKNOWN': '⚪'
-                          }[severity] || '⚪';
-                          
-                          securitySection += `- ${severityEmoji} **${vuln.VulnerabilityID || 'UNKNOWN'}** (${severity}) - ${vuln.PkgName || 'unknown'}\n`;
-                          if (vuln.Title) {
-                            securitySection += `  - ${vuln.Title}\n`;
-                          }
-                          if (vuln.FixedVersion) {
-                            securitySection += `  - Fixed in: \`${vuln.FixedVersion}\`\n`;
-                          }
-                        });
-                        
-                        if (result.Vulnerabilities.length > 20) {
-                          securitySection += `\n*... and ${result.Vulnerabilities.length - 20} more vulnerabilities*\n`;
-                        }
-                      }
-                    });
-                  
-                  securitySection += '\n</details>\n\n';
-                } catch (e) {
-                  core.debug(`Could not parse vulnerability details: ${e.message}`);
-                }
-              }
-            } else {
-              securitySection += '*Container image scan did not complete successfully.*\n\n';
-            }
-          } catch (e) {
-            securitySection += '*Scan results are unavailable.*\n\n';
-          }
-        } else {
-          securitySection += '*Container image was not scanned or results are unavailable.*\n\n';
-        }
+        const notice = rendered.omitted > 0
+          ? `${rendered.omitted} more vulnerabilities are not shown.`
+          : 'Some vulnerabilities are shown with reduced detail.';
+        details += `\n*${notice} The full list is available in the vulnerability details artifact of [this workflow run](${runUrl}).*\n`;
       }
       
-      // Links to GitHub Security tab
-      securitySection += '### 📊 Detailed Security Reports\n\n';
-      securitySection += `View detailed vulnerability reports in the [GitHub Security tab](${context.payload.repository.html_url}/security/code-scanning).\n\n`;
+      details += '\n</details>\n\n';
+      return body.split(DETAILS_PLACEHOLDER).join(details);
+    };
+    
+    // Last resort for custom templates that exceed the limit on their own
+    const enforceLimit = (body, limit) => {
+      if (body.length <= limit) {
+        return body;
+      }
+      core.warning(`Report exceeds ${limit} characters, truncating`);
+      return body.substring(0, limit - 200) + '\n\n*… truncated to fit GitHub\'s size limit*';
+    };
+    
+    // =============================================================================
+    // BUILD HISTORY
+    // =============================================================================
+    
+    const { fingerprints, findings: currentFindings } = fingerprintFindings(imageResults || {});
+    
+    const historyEntry = {
+      sha: commitSha,
+      flow: buildFlowType,
+      tag: imageTagDetails.length > 0 ? imageTagDetails[0].ref.split(':').pop() : '',
+      counts: scanSummary && scanSummary.completed ? {
+        critical: scanSummary.critical,
+        high: scanSummary.high,
+        medium: scanSummary.medium,
+        low: scanSummary.low,
+        total: scanSummary.total
+      } : null,
+      fp: imageResults && fingerprints !== null ? fingerprints : undefined,
+      time: new Date().toISOString()
+    };
+    
+    // Add this build to the history stored in the previous body and render it
+    const applyBuildHistory = (body, previousBody) => {
+      const history = appendEntry(readHistory(previousBody), { ...historyEntry });
+      core.info(`🕓 Build history: ${history.length} build(s) on this PR`);
       
-      return securitySection;
+      return {
+        body: body.split(HISTORY_PLACEHOLDER).join(renderHistory(history, currentFindings, `${repoUrl}/commit`)),
+        marker: serializeHistory(history)
+      };
     };
     
     // =============================================================================
     // COMMENT GENERATION
     // =============================================================================
     
-    let commentBody;
+    let commentBody = null;
     
     if (customTemplate) {
-      // Use custom template with variable substitution
+      // Use custom template
       core.info('Using custom PR comment template');
-      commentBody = customTemplate
-        .replace(/{BUILD_FLOW}/g, buildFlowType)
-        .replace(/{IMAGE_TAGS}/g, imageTags)
-        .replace(/{REGISTRY_URLS}/g, registryUrls);
-    } else {
+      commentBody = applyTemplate(customTemplate, 'PR comment');
+    }
+    
+    if (commentBody === null) {
       // Generate default comment
       core.info('Using default PR comment template');
       
-      // Parse registry URLs for display
-      const pullCommands = registryUrls.split('\n').filter(line => line.trim());
-      const pullCommandsMarkdown = pullCommands.map(cmd => `\`\`\`bash\n${cmd}\n\`\`\``).join('\n\n');
-      
-      // Get repository information
-      const repoUrl = `${context.payload.repository.html_url}`;
-      const commitSha = resolvedSha.substring(0, 7);
-      const commitUrl = `${repoUrl}/commit/${resolvedSha}`;
-      
-      // Format registry display
-      const registryDisplay = {
-        'docker-hub': 'Docker Hub',
-        'ghcr': 'GitHub Container Registry',
-        'both': 'Docker Hub + GHCR'
-      }[registry] || registry;
-      
-      // Format image tags for better readability
-      const imageTagsList = imageTags
-        .split(',')
-        .map(tag => tag.trim())
-        .filter(tag => tag)
-        .map(tag => `• \`${tag}\``)
-        .join('<br/>');
-      
-      // Generate security section
-      const securitySection = generateSecuritySection();
-      
       commentBody = `## ${flow.emoji} Container Build Complete - ${flow.title}
 
 **Build Status:** ✅ Success  
@@ -340,7 +398,7 @@ ${pullCommandsMarkdown}
 | Property | Value |
 |----------|-------|
 | **Flow Type** | \`${buildFlowType}\` |
-| **Commit** | [\`${commitSha}\`](${commitUrl}) |
+${versionRow}| **Commit** | [\`${commitSha}\`](${commitUrl}) |
 | **Registry** | ${registryDisplay} |
 
 ### 🏷️ Image Tags
@@ -349,7 +407,7 @@ ${imageTagsList}
 
 ---
 
-### 🔍 Testing Your Changes
+${imageSizeSection ? `${imageSizeSection}---\n\n` : ''}${packageChangesSection ? `${packageChangesSection}---\n\n` : ''}### 🔍 Testing Your Changes
 
 1. **Pull the image** using one of the commands above
 2. **Run the container** with your test configuration
@@ -368,12 +426,202 @@ docker run <your-options> <image>
 
 ---
 ${securitySection}
+${HISTORY_PLACEHOLDER}---
+
+${footer}`;
+    }
+    
+    // =============================================================================
+    // JOB SUMMARY
+    // =============================================================================
+    
+    if (jobSummaryEnabled === 'true') {
+      let summaryBody = null;
+      
+      if (jobSummaryTemplate) {
+        core.info('Using custom job summary template');
+        summaryBody = applyTemplate(jobSummaryTemplate, 'job summary');
+      }
+      
+      if (summaryBody === null) {
+        // Job summaries are read on the run page, so the layout focuses on
+        // build metadata instead of PR testing instructions
+        summaryBody = `## ${flow.emoji} Container Build Report - ${flow.title}
+
+**Build Status:** ✅ Success  
+**Flow Type:** \`${buildFlowType}\`  
+**Description:** ${flow.description}
+
+### 📋 Build Details
+
+| Property | Value |
+|----------|-------|
+| **Flow Type** | \`${buildFlowType}\` |
+${versionRow}| **Event** | \`${context.eventName}\` |
+| **Ref** | \`${context.ref}\` |
+| **Commit** | [\`${commitSha}\`](${commitUrl}) |
+| **Registry** | ${registryDisplay} |
+${digestRow}
+### 🏷️ Image Tags
+
+${imageTagsList}
+
+${imageSizeSection}${packageChangesSection}### 📦 Pull Image
+
+${pullCommandsMarkdown}
+${securitySection}
 ---
 
-<sub>🤖 Powered by [Container Build Flow Action](https://github.com/wgtechlabs/container-build-flow-action) v${actionVersion}  
-💻 with ❤️ by [Waren Gonzaga](https://warengonzaga.com) under [WG Technology Labs](https://wgtechlabs.com), and [Him](https://www.youtube.com/watch?v=HHrxS4diLew&t=44s) 🙏</sub>`;
+${footer}`;
+      }
+      
+      // Build history is only tracked in the PR comment
+      summaryBody = summaryBody.split(HISTORY_PLACEHOLDER).join('');
+      summaryBody = enforceLimit(fillVulnerabilityDetails(summaryBody, JOB_SUMMARY_LIMIT), JOB_SUMMARY_LIMIT);
+      
+      try {
+        await core.summary.addRaw(summaryBody).write();
+        core.info('✅ Job summary written');
+      } catch (error) {
+        core.warning(`Failed to write job summary: ${error.message}`);
+      }
+    }
+    
+    if (prCommentEnabled !== 'true') {
+      core.info('ℹ️  PR comments disabled, skipping comment');
+      core.setOutput('comment-posted', 'false');
+      return;
     }
     
+    // =============================================================================
+    // COMMENT IDENTITY
+    // =============================================================================
+    
+    const commentMarker = `<!-- ${MARKER_PREFIX}:${commentIdentifier} -->`;
+    const groupMarker = `<!-- ${MARKER_PREFIX}:combined:${commentGroup} -->`;
+    const sectionPattern = new RegExp(`<!-- ${MARKER_PREFIX}:section:(.+?) -->\\n([\\s\\S]*?)\\n<!-- ${MARKER_PREFIX}:section-end:\\1 -->`, 'g');
+    
+    const listComments = async prNumber => github.paginate(github.rest.issues.listComments, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      issue_number: prNumber,
+      per_page: 100,
+    });
+    
+    // Comments posted before markers were introduced carry the action footer but no marker
+    const isLegacyComment = comment =>
+      comment.user.type === 'Bot' &&
+      comment.body.includes('Container Build Complete') &&
+      comment.body.includes(LEGACY_COMMENT_FOOTER) &&
+      !comment.body.includes(`<!-- ${MARKER_PREFIX}:`);
+    
+    // One comment per build, found by its marker
+    const upsertComment = async prNumber => {
+      const comments = await listComments(prNumber);
+      const existing = comments.find(comment => comment.body && comment.body.includes(commentMarker)) ||
+        comments.find(comment => comment.body && isLegacyComment(comment));
+      
+      const history = applyBuildHistory(commentBody, existing ? existing.body : '');
+      const limit = COMMENT_LIMIT - commentMarker.length - history.marker.length - 2;
+      const body = `${commentMarker}\n${enforceLimit(fillVulnerabilityDetails(history.body, limit), limit)}\n${history.marker}`;
+      
+      if (existing) {
+        // Update existing comment
+        core.info(`🔄 Updating existing comment (ID: ${existing.id})`);
+        await github.rest.issues.updateComment({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          comment_id: existing.id,
+          body: body,
+        });
+        core.info('✅ Comment updated successfully');
+      } else {
+        // Create new comment
+        core.info('✨ Creating new comment');
+        await github.rest.issues.createComment({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: prNumber,
+          body: body,
+        });
+        core.info('✅ Comment created successfully');
+      }
+    };
+    
+    // One comment per group; every build owns a section keyed by its identifier
+    const upsertCombinedComment = async prNumber => {
+      const sectionStart = `<!-- ${MARKER_PREFIX}:section:${commentIdentifier} -->`;
+      const findGroupComments = comments => comments
+        .filter(comment => comment.body && comment.body.includes(groupMarker))
+        .sort((a, b) => a.id - b.id);
+      let createdId = null;
+      
+      // Matrix jobs update the same comment concurrently, so verify and retry
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        const target = findGroupComments(await listComments(prNumber))[0];
+        
+        const sections = new Map();
+        if (target) {
+          for (const match of target.body.matchAll(sectionPattern)) {
+            sections.set(match[1], match[2]);
+          }
+        }
+        const history = applyBuildHistory(commentBody, sections.get(commentIdentifier));
+        sections.set(commentIdentifier, '');
+        
+        const limit = Math.floor((COMMENT_LIMIT - 1000) / sections.size) - history.marker.length - 1;
+        sections.set(commentIdentifier, `${enforceLimit(fillVulnerabilityDetails(history.body, limit), limit)}\n${history.marker}`);
+        
+        const sectionIds = Array.from(sections.keys()).sort();
+        const body = `${groupMarker}\n## 🐳 Container Builds\n\n*${sectionIds.length} build(s) reported in this comment.*\n\n` +
+          sectionIds.map(id => `<!-- ${MARKER_PREFIX}:section:${id} -->\n${sections.get(id)}\n<!-- ${MARKER_PREFIX}:section-end:${id} -->`).join('\n\n---\n\n');
+        
+        if (target) {
+          core.info(`🔄 Updating section "${commentIdentifier}" in combined comment (ID: ${target.id})`);
+          await github.rest.issues.updateComment({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            comment_id: target.id,
+            body: body,
+          });
+        } else {
+          core.info('✨ Creating combined comment');
+          const { data: created } = await github.rest.issues.createComment({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            issue_number: prNumber,
+            body: body,
+          });
+          createdId = created.id;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 1000 + Math.floor(Math.random() * 2000)));
+        
+        const current = findGroupComments(await listComments(prNumber));
+        
+        // Another job created the combined comment first; drop our duplicate
+        if (createdId && current[0] && current[0].id !== createdId) {
+          core.info(`🧹 Removing duplicate combined comment (ID: ${createdId})`);
+          await github.rest.issues.deleteComment({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            comment_id: createdId,
+          });
+          createdId = null;
+          continue;
+        }
+        
+        if (current[0] && current[0].body.includes(sectionStart)) {
+          core.info('✅ Combined comment updated successfully');
+          return;
+        }
+        
+        core.info(`Section was overwritten by a concurrent build, retrying (attempt ${attempt})`);
+      }
+      
+      core.warning(`Could not confirm section "${commentIdentifier}" in the combined comment`);
+    };
+    
     // =============================================================================
     // POST COMMENT
     // =============================================================================
@@ -414,39 +662,10 @@ ${securitySection}
       
       core.info(`💬 Posting comment to PR #${prNumber}`);
       
-      // Check if we already posted a comment
-      const { data: comments } = await github.rest.issues.listComments({
-        owner: context.repo.owner,
-        repo: context.repo.repo,
-        issue_number: prNumber,
-      });
-      
-      // Find existing comment from this action
-      const botComment = comments.find(comment => 
-        comment.user.type === 'Bot' && 
-        comment.body.includes('Container Build Complete')
-      );
-      
-      if (botComment) {
-        // Update existing comment
-        core.info(`🔄 Updating existing comment (ID: ${botComment.id})`);
-        await github.rest.issues.updateComment({
-          owner: context.repo.owner,
-          repo: context.repo.repo,
-          comment_id: botComment.id,
-          body: commentBody,
-        });
-        core.info('✅ Comment updated successfully');
+      if (commentMode === 'combined') {
+        await upsertCombinedComment(prNumber);
       } else {
-        // Create new comment
-        core.info('✨ Creating new comment');
-        await github.rest.issues.createComment({
-          owner: context.repo.owner,
-          repo: context.repo.repo,
-          issue_number: prNumber,
-          body: commentBody,
-        });
-        core.info('✅ Comment created successfully');
+        await upsertComment(prNumber);
       }
       
       core.setOutput('comment-posted', 'true');
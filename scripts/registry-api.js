@@ -0,0 +1,193 @@
+/**
+ * Registry API
+ * ============
+ * Lists and deletes image tags through the Docker Hub and GitHub Packages APIs
+ *
+ * The OCI distribution API neither reports when a tag was pushed nor lets
+ * tags be deleted without deleting the manifest, so tag lookups by date and
+ * tag cleanup use the registry-specific APIs. Other registries are not
+ * supported.
+ *
+ *   - Docker Hub : hub.docker.com/v2 tag API, ordered by last update. Reading
+ *                  private repositories and deleting tags needs a Docker Hub
+ *                  username and token.
+ *   - GHCR       : GitHub Packages API for organization or user packages.
+ *                  Tags belong to package versions, so a tag is deleted by
+ *                  deleting its version (with every other tag on it).
+ *
+ * Environment Variables:
+ *   DOCKERHUB_USERNAME_INPUT, DOCKERHUB_TOKEN_INPUT : Docker Hub API credentials
+ *   GHCR_TOKEN_INPUT                                : GitHub token for the Packages API
+ *   GITHUB_API_URL                                  : GitHub API base URL
+ */
+
+// Registry APIs list at most this many tags per page
+const PAGE_SIZE = 100;
+
+/**
+ * Fetch JSON from a registry API
+ */
+async function fetchJson(url, headers = {}) {
+  const response = await fetch(url, { headers: { Accept: 'application/json', ...headers } });
+  if (!response.ok) {
+    const error = new Error(`${url} returned ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+/**
+ * Send a DELETE request to a registry API
+ */
+async function sendDelete(url, headers) {
+  const response = await fetch(url, { method: 'DELETE', headers: headers });
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+}
+
+/**
+ * Check whether a registry supports tag listing and deletion
+ */
+function isSupportedRegistry(registry) {
+  return registry.host === 'docker.io' || registry.host === 'ghcr.io';
+}
+
+/**
+ * Split a Docker Hub image into namespace and repository
+ */
+function dockerHubRepository(registry) {
+  const [namespace, ...rest] = registry.image.includes('/') ? registry.image.split('/') : ['library', registry.image];
+  return `https://hub.docker.com/v2/namespaces/${namespace}/repositories/${rest.join('/')}`;
+}
+
+/**
+ * Log in to the Docker Hub API, returning the authorization headers
+ *
+ * @returns {Promise<object>} Headers, empty without credentials or when the login fails
+ */
+async function dockerHubHeaders() {
+  const username = process.env.DOCKERHUB_USERNAME_INPUT || '';
+  const password = process.env.DOCKERHUB_TOKEN_INPUT || '';
+  if (!username || !password) {
+    return {};
+  }
+  
+  const response = await fetch('https://hub.docker.com/v2/users/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  return response.ok ? { Authorization: `Bearer ${(await response.json()).token}` } : {};
+}
+
+/**
+ * GitHub Packages API headers
+ */
+function githubHeaders() {
+  const token = process.env.GHCR_TOKEN_INPUT || '';
+  return token ? { Authorization: `Bearer ${token}`, 'X-GitHub-Api-Version': '2022-11-28' } : {};
+}
+
+/**
+ * List Docker Hub tags, most recently pushed first
+ *
+ * @returns {Promise<Array>} Tags: { name, updated }
+ */
+async function listDockerHubTags(registry, maxPages = 1) {
+  const headers = await dockerHubHeaders();
+  const tags = [];
+  let url = `${dockerHubRepository(registry)}/tags?page_size=${PAGE_SIZE}&ordering=last_updated`;
+  
+  for (let page = 0; url && page < maxPages; page++) {
+    const data = await fetchJson(url, headers);
+    (data.results || []).forEach(tag => tags.push({ name: tag.name, updated: tag.last_updated || '' }));
+    url = data.next || '';
+  }
+  return tags;
+}
+
+/**
+ * List GHCR package versions, most recent first
+ *
+ * Container packages belong to an organization or a user; the organization
+ * API is tried first.
+ *
+ * @returns {Promise<Array>} Versions: { id, tags, updated, url }
+ */
+async function listGhcrVersions(registry, maxPages = 1) {
+  const api = process.env.GITHUB_API_URL || 'https://api.github.com';
+  const [owner, ...rest] = registry.image.replace(/^ghcr\.io\//, '').split('/');
+  const packageName = encodeURIComponent(rest.join('/'));
+  const headers = githubHeaders();
+  
+  let base = `${api}/orgs/${owner}/packages/container/${packageName}`;
+  const versions = [];
+  
+  for (let page = 1; page <= maxPages; page++) {
+    let data;
+    try {
+      data = await fetchJson(`${base}/versions?per_page=${PAGE_SIZE}&page=${page}`, headers);
+    } catch (error) {
+      if (error.status !== 404 || page > 1) {
+        throw error;
+      }
+      base = `${api}/users/${owner}/packages/container/${packageName}`;
+      data = await fetchJson(`${base}/versions?per_page=${PAGE_SIZE}&page=${page}`, headers);
+    }
+    
+    data.forEach(version => versions.push({
+      id: version.id,
+      tags: ((version.metadata || {}).container || {}).tags || [],
+      updated: version.updated_at || version.created_at || '',
+      url: `${base}/versions/${version.id}`
+    }));
+    if (data.length < PAGE_SIZE) {
+      break;
+    }
+  }
+  return versions;
+}
+
+/**
+ * List the tags of a registry image, most recent first
+ *
+ * @returns {Promise<Array|null>} Tag names, or null when the registry cannot order tags by date
+ */
+async function listRecentTags(registry, maxPages = 1) {
+  if (registry.host === 'docker.io') {
+    return (await listDockerHubTags(registry, maxPages)).map(tag => tag.name);
+  }
+  if (registry.host === 'ghcr.io') {
+    return (await listGhcrVersions(registry, maxPages)).flatMap(version => version.tags);
+  }
+  return null;
+}
+
+/**
+ * Delete a Docker Hub tag
+ */
+async function deleteDockerHubTag(registry, tag, headers) {
+  if (!headers.Authorization) {
+    throw new Error('Deleting Docker Hub tags needs dockerhub-username and dockerhub-token');
+  }
+  await sendDelete(`${dockerHubRepository(registry)}/tags/${encodeURIComponent(tag)}`, headers);
+}
+
+/**
+ * Delete a GHCR package version and every tag on it
+ */
+async function deleteGhcrVersion(version) {
+  await sendDelete(version.url, githubHeaders());
+}
+
+module.exports = {
+  isSupportedRegistry,
+  dockerHubHeaders,
+  listDockerHubTags,
+  listGhcrVersions,
+  listRecentTags,
+  deleteDockerHubTag,
+  deleteGhcrVersion
+};
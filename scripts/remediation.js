@@ -0,0 +1,220 @@
+/**
+ * Remediation
+ * ===========
+ * Groups vulnerabilities into a fix plan of package upgrades
+ *
+ * Trivy reports one finding per vulnerability, each with the versions that
+ * fix it. A single package upgrade often fixes many of them, so findings are
+ * grouped by target, package and installed version, and every group gets the
+ * lowest version that fixes all of its findings. Upgrades are ranked by the
+ * severity of what they fix; findings without any fixed version are listed
+ * separately.
+ *
+ * Fix plan format (trivy-fix-plan.json):
+ *   {
+ *     "upgrades": [
+ *       {
+ *         "rank": 1,
+ *         "target": "myorg/app:pr-abc1234 (alpine 3.19.1)",
+ *         "type": "alpine",
+ *         "package": "openssl",
+ *         "installed_version": "3.1.4-r0",
+ *         "fixed_version": "3.1.4-r5",
+ *         "counts": { "critical": 1, "high": 11, "medium": 0, "low": 0, "unknown": 0, "total": 12 },
+ *         "vulnerabilities": [{ "id": "CVE-2024-0727", "severity": "HIGH", "fixedVersion": "3.1.4-r5" }]
+ *       }
+ *     ],
+ *     "unfixable": { "total": 1, "counts": { … }, "vulnerabilities": [{ "id", "target", "package", "version", "severity" }] },
+ *     "fixable": 12
+ *   }
+ */
+
+const { SEVERITY_ORDER, severityRank, createCounts, countSeverity } = require('./severity');
+
+// Version segments that sort before the release they precede (1.0.0-rc1 < 1.0.0)
+const PRERELEASE_PATTERN = /^(alpha|beta|pre|rc|dev)$/;
+
+// Single letters only mark a pre-release after a separator (1.0-a1 < 1.0 < 1.1.1a)
+const PRERELEASE_LETTER_PATTERN = /^[ab]$/;
+
+/**
+ * Split a version into its Debian/RPM epoch ("1:2.3-1") and the rest
+ */
+function parseEpoch(version) {
+  const match = String(version || '').match(/^(\d+):(.*)$/);
+  return match ? { epoch: Number(match[1]), version: match[2] } : { epoch: 0, version: String(version || '') };
+}
+
+/**
+ * Split a version into numeric and alphabetic segments
+ *
+ * Each segment records whether a separator (".", "-", "~", ...) precedes it.
+ */
+function versionSegments(version) {
+  const segments = [];
+  const pattern = /([^a-z\d]*)(\d+|[a-z]+)/g;
+  let match;
+  while ((match = pattern.exec(version.toLowerCase())) !== null) {
+    segments.push({ value: match[2], separated: match[1] !== '' });
+  }
+  return segments;
+}
+
+/**
+ * Check whether a trailing segment makes a version older than the release
+ */
+function isPrerelease(segment) {
+  return PRERELEASE_PATTERN.test(segment.value) || (segment.separated && PRERELEASE_LETTER_PATTERN.test(segment.value));
+}
+
+/**
+ * Compare two package versions
+ *
+ * Works across the common version schemes (semver, Debian, RPM, Alpine) by
+ * comparing the epoch first, then numeric segments as numbers and the others
+ * alphabetically.
+ *
+ * @returns {number} Negative when a < b, positive when a > b, 0 when equal
+ */
+function compareVersions(a, b) {
+  const leftVersion = parseEpoch(a);
+  const rightVersion = parseEpoch(b);
+  if (leftVersion.epoch !== rightVersion.epoch) {
+    return leftVersion.epoch - rightVersion.epoch;
+  }
+  
+  const left = versionSegments(leftVersion.version);
+  const right = versionSegments(rightVersion.version);
+  
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const x = left[index];
+    const y = right[index];
+    
+    // A trailing pre-release marker makes a version older, anything else newer
+    if (x === undefined) {
+      return isPrerelease(y) ? 1 : -1;
+    }
+    if (y === undefined) {
+      return isPrerelease(x) ? -1 : 1;
+    }
+    
+    const xNumeric = /^\d/.test(x.value);
+    const yNumeric = /^\d/.test(y.value);
+    if (xNumeric && yNumeric) {
+      const difference = Number(x.value) - Number(y.value);
+      if (difference !== 0) {
+        return difference;
+      }
+    } else if (xNumeric !== yNumeric) {
+      return xNumeric ? 1 : -1;
+    } else if (x.value !== y.value) {
+      return x.value < y.value ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Pick the lowest fixed version that is newer than the installed version
+ *
+ * Trivy lists one fixed version per release line (e.g. "1.1.1w, 3.0.12").
+ */
+function lowestFix(fixedVersion, installedVersion) {
+  const candidates = String(fixedVersion || '')
+    .split(',')
+    .map(version => version.trim().replace(/^[<>=~^\s]+/, ''))
+    .filter(Boolean)
+    .sort(compareVersions);
+  
+  if (candidates.length === 0) {
+    return '';
+  }
+  return candidates.find(version => compareVersions(version, installedVersion) > 0) || candidates[candidates.length - 1];
+}
+
+/**
+ * Rank upgrades by the most severe findings they fix, then by how many
+ */
+function compareUpgrades(a, b) {
+  for (const severity of SEVERITY_ORDER) {
+    const key = severity.toLowerCase();
+    if (a.counts[key] !== b.counts[key]) {
+      return b.counts[key] - a.counts[key];
+    }
+  }
+  return a.package.localeCompare(b.package);
+}
+
+/**
+ * Build the fix plan for Trivy results
+ *
+ * @param {object} results - Parsed Trivy JSON results (with exceptions already applied)
+ * @returns {{upgrades: Array, unfixable: object, fixable: number}} Ranked upgrades and findings without a fix
+ */
+function buildFixPlan(results) {
+  const groups = new Map();
+  const unfixable = { total: 0, counts: createCounts(), vulnerabilities: [] };
+  
+  ((results && results.Results) || []).forEach(result => {
+    (result.Vulnerabilities || []).forEach(vuln => {
+      const severity = (vuln.Severity || 'UNKNOWN').toUpperCase();
+      const finding = {
+        id: vuln.VulnerabilityID || 'UNKNOWN',
+        target: result.Target || 'unknown',
+        package: vuln.PkgName || 'unknown',
+        version: vuln.InstalledVersion || '',
+        severity: severity
+      };
+      
+      const fix = lowestFix(vuln.FixedVersion, finding.version);
+      if (!fix) {
+        unfixable.vulnerabilities.push(finding);
+        countSeverity(unfixable.counts, severity);
+        unfixable.total++;
+        return;
+      }
+      
+      const key = `${finding.target}|${finding.package}|${finding.version}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          target: finding.target,
+          type: result.Type || '',
+          package: finding.package,
+          installed_version: finding.version,
+          fixed_version: fix,
+          counts: createCounts(),
+          vulnerabilities: []
+        });
+      }
+      
+      // The upgrade has to reach the highest of the per-finding fixes
+      const group = groups.get(key);
+      if (compareVersions(fix, group.fixed_version) > 0) {
+        group.fixed_version = fix;
+      }
+      if (!group.vulnerabilities.some(entry => entry.id === finding.id)) {
+        group.vulnerabilities.push({ id: finding.id, severity: severity, fixedVersion: vuln.FixedVersion });
+        countSeverity(group.counts, severity);
+      }
+    });
+  });
+  
+  const upgrades = Array.from(groups.values())
+    .sort(compareUpgrades)
+    .map((upgrade, index) => ({
+      rank: index + 1,
+      ...upgrade,
+      vulnerabilities: upgrade.vulnerabilities.sort((a, b) => severityRank(a.severity) - severityRank(b.severity))
+    }));
+  
+  return {
+    upgrades: upgrades,
+    unfixable: unfixable,
+    fixable: upgrades.reduce((sum, upgrade) => sum + upgrade.counts.total, 0)
+  };
+}
+
+module.exports = {
+  compareVersions,
+  buildFixPlan
+};
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * Resolve Baseline Script
+ * =======================
+ * Resolves the baseline image the vulnerability comparison runs against
+ *
+ * The baseline follows the detected flow and target branch: a PR compares
+ * against the latest image built from its target branch (a PR into dev
+ * against the latest dev image, a patch PR into main against the latest
+ * staging image), and a push compares against the previous image of its
+ * branch. The baseline flow is the flow selected by a push to the target
+ * branch, unless the flow sets its own `baseline` in the flow rules.
+ *
+ * Resolution order:
+ *   1. input    : comparison-baseline-image, when configured
+ *   2. floating : The first floating tag of the baseline flow that exists
+ *   3. recent   : The most recently pushed tag of the baseline flow (Docker Hub
+ *                 and GHCR only, other registries do not report push dates)
+ *   4. stored   : Scan results stored by the latest build of the target branch
+ *   5. none     : No baseline available
+ *
+ * The script runs before the build, so floating tags still point at the
+ * previous build. Resolved tags are pinned to their digest for the same reason.
+ *
+ * Environment Variables:
+ *   COMPARISON_BASELINE_IMAGE : Explicit baseline image (skips resolution)
+ *   BUILD_FLOW_TYPE           : Detected build flow
+ *   CURRENT_TAGS              : Tags of the current build, excluded as baselines
+ *   REGISTRIES_JSON           : Resolved registries (the first one is searched)
+ *   FLOW_RULES, MAIN_BRANCH, DEV_BRANCH, TAG_PREFIX, TAG_SUFFIX
+ *   DOCKERHUB_USERNAME_INPUT, DOCKERHUB_TOKEN_INPUT : Docker Hub API credentials
+ *   GHCR_TOKEN_INPUT          : GitHub token for the GHCR package API
+ *   GITHUB_EVENT_NAME, GITHUB_REF, GITHUB_BASE_REF, GITHUB_API_URL
+ *
+ * Output:
+ *   - GitHub Actions outputs:
+ *       image  : Baseline image to scan (pinned to its digest), empty when none
+ *       tag    : Tag the baseline image was resolved from
+ *       source : input, floating, recent, stored or none
+ *       flow   : Baseline flow
+ *       branch : Branch whose stored scan results are the fallback baseline
+ *       reason : Why this baseline was chosen
+ */
+
+const { execFileSync } = require('child_process');
+const core = require('@actions/core');
+const { loadFlowConfig, matchRule, renderTag, renderFlowTags } = require('./flow-rules');
+const { listRecentTags } = require('./registry-api');
+
+const PLACEHOLDER_PATTERN = /({[a-z]+})/;
+
+/**
+ * Determine the target branch and how to describe the current build
+ */
+function readContext() {
+  const event = process.env.GITHUB_EVENT_NAME || '';
+  const ref = process.env.GITHUB_REF || '';
+  const isPullRequest = event === 'pull_request' || event === 'pull_request_target';
+  
+  if (isPullRequest) {
+    const branch = process.env.GITHUB_BASE_REF || '';
+    return { branch, description: `PR into \`${branch}\`` };
+  }
+  if (ref.startsWith('refs/heads/')) {
+    const branch = ref.replace(/^refs\/heads\//, '');
+    return { branch, description: `Push to \`${branch}\`` };
+  }
+  return { branch: '', description: `Tag push \`${ref.replace(/^refs\/tags\//, '')}\`` };
+}
+
+/**
+ * Pick the flow whose images are the baseline
+ *
+ * @returns {string|null} Flow name, or null when the flow has no baseline image
+ */
+function selectBaselineFlow(config, flowType, branch) {
+  const flow = config.flows[flowType] || {};
+  
+  if (flow.baseline === false) {
+    return null;
+  }
+  if (flow.baseline) {
+    return flow.baseline;
+  }
+  if (branch) {
+    const rule = matchRule(config.rules, { event: 'push', base: '', head: branch, tag: '' });
+    return rule ? rule.flow : null;
+  }
+  return flowType;
+}
+
+/**
+ * Build a regular expression matching the immutable tags of a flow
+ *
+ * Placeholders known for a push build are filled in, the others match any
+ * tag characters. Templates using {base} or {pr} never render on a push and
+ * are left out.
+ */
+function flowTagPattern(flow, values, prefix, suffix) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  
+  const sources = [flow.tag, ...(flow.tags || [])]
+    .filter(template => template && !/{(base|pr)}/.test(template))
+    .map(template => template
+      .split(PLACEHOLDER_PATTERN)
+      .map(part => {
+        if (!PLACEHOLDER_PATTERN.test(part)) {
+          return escape(part);
+        }
+        const value = renderTag(part, values);
+        return value ? escape(value) : '[a-z0-9._-]+';
+      })
+      .join(''));
+  
+  if (sources.length === 0) {
+    return null;
+  }
+  return new RegExp(`^${escape(prefix)}(?:${sources.join('|')})${escape(suffix)}$`);
+}
+
+/**
+ * Look up the digest of an image tag, or null when it does not exist
+ */
+function inspectDigest(reference) {
+  try {
+    const output = execFileSync('docker', ['buildx', 'imagetools', 'inspect', reference, '--format', '{{json .Manifest}}'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    });
+    return JSON.parse(output).digest || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write the resolved baseline to the step outputs
+ */
+function setBaseline(baseline) {
+  const result = { image: '', tag: '', flow: '', branch: '', ...baseline };
+  
+  core.setOutput('image', result.image);
+  core.setOutput('tag', result.tag);
+  core.setOutput('source', result.source);
+  core.setOutput('flow', result.flow);
+  core.setOutput('branch', result.branch);
+  core.setOutput('reason', result.reason);
+  
+  core.info(`  Source: ${result.source}`);
+  if (result.image) {
+    core.info(`  Image: ${result.image}`);
+  } else if (result.source === 'stored') {
+    core.info(`  Stored scan results: ${result.branch}`);
+  }
+  core.info(`  Reason: ${result.reason}`);
+}
+
+/**
+ * Resolve the comparison baseline and set outputs
+ */
+async function resolveBaseline() {
+  const explicitImage = (process.env.COMPARISON_BASELINE_IMAGE || '').trim();
+  const flowType = process.env.BUILD_FLOW_TYPE || '';
+  const prefix = process.env.TAG_PREFIX || '';
+  const suffix = process.env.TAG_SUFFIX || '';
+  const currentTags = new Set((process.env.CURRENT_TAGS || '').split(/[\s,]+/).filter(Boolean));
+  
+  core.info('🎯 Resolving comparison baseline...');
+  
+  if (explicitImage) {
+    setBaseline({ image: explicitImage, source: 'input', reason: 'Configured with `comparison-baseline-image`' });
+    return;
+  }
+  
+  const context = readContext();
+  // Without a baseline image, compare against the stored results of the target branch
+  const fallback = context.branch ? { source: 'stored', branch: context.branch } : { source: 'none' };
+  
+  try {
+    const config = loadFlowConfig(process.env.FLOW_RULES, {
+      mainBranch: process.env.MAIN_BRANCH,
+      devBranch: process.env.DEV_BRANCH
+    });
+    
+    const baselineFlow = selectBaselineFlow(config, flowType, context.branch);
+    if (!baselineFlow) {
+      setBaseline({ ...fallback, reason: `\`${flowType}\` builds have no baseline image` });
+      return;
+    }
+    
+    const registry = JSON.parse(process.env.REGISTRIES_JSON || '[]')[0];
+    if (!registry) {
+      throw new Error('No registry resolved');
+    }
+    
+    const flow = config.flows[baselineFlow];
+    const values = { flow: baselineFlow, branch: context.branch };
+    const why = `${context.description} compares against the latest \`${baselineFlow}\` image`;
+    
+    core.info(`  ${context.description}, baseline flow: ${baselineFlow}`);
+    core.info(`  Registry: ${registry.display} (${registry.image})`);
+    
+    // Floating tags move with every build of the baseline flow
+    const floatingTags = renderFlowTags(flow, values)
+      .filter(tag => tag.floating)
+      .map(tag => `${prefix}${tag.tag}${suffix}`);
+    
+    for (const tag of floatingTags) {
+      const digest = inspectDigest(`${registry.image}:${tag}`);
+      if (digest) {
+        setBaseline({ image: `${registry.image}@${digest}`, tag, source: 'floating', flow: baselineFlow, branch: fallback.branch, reason: `${why} (floating tag \`${tag}\`)` });
+        return;
+      }
+      core.info(`  Floating tag ${tag} not found`);
+    }
+    
+    // Otherwise take the most recently pushed tag of the baseline flow
+    const pattern = flowTagPattern(flow, values, prefix, suffix);
+    let recentTags = null;
+    try {
+      recentTags = pattern ? await listRecentTags(registry) : null;
+    } catch (error) {
+      core.warning(`⚠️  Could not list tags of ${registry.image}: ${error.message}`);
+    }
+    
+    if (recentTags === null) {
+      core.info(`  ${registry.display} does not report push dates, skipping most recent tag lookup`);
+    }
+    
+    const candidates = (recentTags || []).filter(tag => pattern.test(tag) && !currentTags.has(tag));
+    for (const tag of candidates.slice(0, 5)) {
+      const digest = inspectDigest(`${registry.image}:${tag}`);
+      if (digest) {
+        setBaseline({ image: `${registry.image}@${digest}`, tag, source: 'recent', flow: baselineFlow, branch: fallback.branch, reason: `${why} (most recent tag \`${tag}\`)` });
+        return;
+      }
+    }
+    
+    setBaseline({ ...fallback, flow: baselineFlow, reason: `No \`${baselineFlow}\` image found in ${registry.display}` });
+  } catch (error) {
+    core.error(`❌ Failed to resolve baseline image: ${error.message}`);
+    setBaseline({ ...fallback, reason: 'Baseline image could not be resolved' });
+    
+    // Don't fail the action, the comparison is informational
+    core.warning('Continuing despite baseline resolution error...');
+  }
+}
+
+// Execute
+resolveBaseline();
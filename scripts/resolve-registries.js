@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * Resolve Registries Script
+ * ==========================
+ * Resolves the target registries, their image names, and logs in to each
+ *
+ * Registries are configured as a JSON list (inline or file path). Every
+ * entry is either the name of a built-in registry or an object describing
+ * a registry. When no list is configured, the legacy `registry` input
+ * (docker-hub, ghcr, both) selects the built-in registries.
+ *
+ * Registry format:
+ *   [
+ *     "docker-hub",
+ *     {
+ *       "id": "harbor",
+ *       "host": "harbor.example.com",
+ *       "namespace": "platform",
+ *       "display": "Harbor",
+ *       "credentials": { "type": "env", "username": "HARBOR_USERNAME", "password": "HARBOR_PASSWORD" }
+ *     }
+ *   ]
+ *
+ *   - id          : Short identifier (defaults to host)
+ *   - host        : Registry host (docker.io images are named without host)
+ *   - namespace   : Path between host and image name (defaults to the repository
+ *                   owner; "" for none)
+ *   - display     : Name shown in pull commands and PR comments (defaults to host)
+ *   - preset      : Built-in registry to extend (docker-hub, ghcr)
+ *   - credentials : Where login credentials come from
+ *       { "type": "env", "username": "<ENV VAR>", "password": "<ENV VAR>" }
+ *       { "type": "github-token" }           GitHub token (ghcr.io)
+ *       { "type": "aws-ecr", "region": "…" }  aws ecr get-login-password
+ *       { "type": "gcloud" }                  gcloud auth print-access-token
+ *       { "type": "none" }                    Already logged in by an earlier step
+ *
+ * Environment Variables:
+ *   REGISTRIES             : Inline JSON registry list or path to a JSON file
+ *   REGISTRY               : Legacy registry selection (docker-hub, ghcr, both)
+ *   IMAGE_NAME             : Base image name (without registry or namespace)
+ *   DOCKERHUB_USERNAME_INPUT, DOCKERHUB_TOKEN_INPUT : Docker Hub credentials
+ *   GHCR_USERNAME_INPUT, GHCR_TOKEN_INPUT           : GHCR credentials
+ *
+ * Output:
+ *   - GitHub Actions outputs:
+ *       images           : Full image names, one per line
+ *       registry-images  : "<display>|<image>" per line, for pull commands
+ *       display          : Combined display name (e.g. "Docker Hub + Harbor")
+ *       ids              : Comma-separated registry ids
+ *       registries       : Resolved registry list as JSON (without credentials)
+ *       logged-in        : Comma-separated hosts logged in to, logged out again
+ *                          by the last step of the action
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const core = require('@actions/core');
+
+const PRESETS = {
+  'docker-hub': {
+    id: 'docker-hub',
+    host: 'docker.io',
+    display: 'Docker Hub',
+    credentials: { type: 'env', username: 'DOCKERHUB_USERNAME_INPUT', password: 'DOCKERHUB_TOKEN_INPUT' }
+  },
+  'ghcr': {
+    id: 'ghcr',
+    host: 'ghcr.io',
+    display: 'GitHub Container Registry',
+    credentials: { type: 'github-token' }
+  }
+};
+
+// Legacy `registry` input values
+const LEGACY_SELECTIONS = {
+  'docker-hub': ['docker-hub'],
+  'ghcr': ['ghcr'],
+  'both': ['docker-hub', 'ghcr']
+};
+
+const CREDENTIAL_TYPES = ['env', 'github-token', 'aws-ecr', 'gcloud', 'none'];
+
+/**
+ * Load the registry list from inline JSON, a file path, or the legacy input
+ */
+function loadRegistryList(registriesInput, legacyRegistry) {
+  const value = registriesInput.trim();
+  
+  if (!value) {
+    const selection = LEGACY_SELECTIONS[legacyRegistry];
+    if (!selection) {
+      throw new Error(`Unknown registry "${legacyRegistry}" (expected docker-hub, ghcr or both)`);
+    }
+    core.info(`Using built-in registries for registry: ${legacyRegistry}`);
+    return selection;
+  }
+  
+  let list;
+  if (value.startsWith('[')) {
+    core.info('Using inline registry list');
+    list = JSON.parse(value);
+  } else {
+    if (!fs.existsSync(value)) {
+      throw new Error(`Registry list file not found: ${value}`);
+    }
+    core.info(`Using registry list file: ${value}`);
+    list = JSON.parse(fs.readFileSync(value, 'utf8'));
+  }
+  
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Registry list must be a non-empty JSON array');
+  }
+  
+  return list;
+}
+
+/**
+ * Resolve a registry entry into host, namespace, display name, image and credentials
+ */
+function resolveRegistry(entry, imageName, owner) {
+  const spec = typeof entry === 'string' ? { preset: entry } : { ...entry };
+  
+  if (spec.preset) {
+    const preset = PRESETS[spec.preset];
+    if (!preset) {
+      throw new Error(`Unknown built-in registry "${spec.preset}" (expected ${Object.keys(PRESETS).join(', ')})`);
+    }
+    Object.keys(preset).forEach(key => {
+      if (spec[key] === undefined) {
+        spec[key] = preset[key];
+      }
+    });
+  }
+  
+  if (!spec.host || typeof spec.host !== 'string') {
+    throw new Error(`Registry entry ${JSON.stringify(entry)} has no host`);
+  }
+  
+  const host = spec.host.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+  if (spec.namespace !== undefined && typeof spec.namespace !== 'string') {
+    throw new Error(`Invalid namespace ${JSON.stringify(spec.namespace)} for registry ${host} (expected a string, "" for none)`);
+  }
+  
+  const namespace = (spec.namespace === undefined ? owner : spec.namespace).replace(/^\/+|\/+$/g, '');
+  const credentials = spec.credentials || { type: 'none' };
+  
+  if (!CREDENTIAL_TYPES.includes(credentials.type)) {
+    throw new Error(`Unknown credentials type "${credentials.type}" for registry ${host} (expected ${CREDENTIAL_TYPES.join(', ')})`);
+  }
+  
+  // Docker Hub images are referenced without the registry host
+  const path = [namespace, imageName].filter(Boolean).join('/');
+  const image = host === 'docker.io' ? path : `${host}/${path}`;
+  
+  return {
+    id: spec.id || host,
+    host: host,
+    namespace: namespace,
+    display: spec.display || host,
+    image: image.toLowerCase(),
+    credentials: credentials
+  };
+}
+
+/**
+ * Read login credentials for a registry from its credentials source
+ */
+function readCredentials(registry) {
+  const credentials = registry.credentials;
+  
+  switch (credentials.type) {
+    case 'env': {
+      const username = process.env[credentials.username] || '';
+      const password = process.env[credentials.password] || '';
+      if (!username || !password) {
+        throw new Error(`Missing credentials for ${registry.display}: set ${credentials.username} and ${credentials.password}`);
+      }
+      return { username, password };
+    }
+    case 'github-token': {
+      const password = process.env.GHCR_TOKEN_INPUT || '';
+      if (!password) {
+        throw new Error(`Missing GitHub token for ${registry.display}`);
+      }
+      return { username: process.env.GHCR_USERNAME_INPUT || process.env.GITHUB_REPOSITORY_OWNER || '', password };
+    }
+    case 'aws-ecr': {
+      const match = registry.host.match(/\.ecr\.([a-z0-9-]+)\.amazonaws\.com/);
+      const region = credentials.region || (match ? match[1] : '');
+      if (!region) {
+        throw new Error(`Cannot determine AWS region for ${registry.host}; set credentials.region`);
+      }
+      const password = execFileSync('aws', ['ecr', 'get-login-password', '--region', region], { encoding: 'utf8' }).trim();
+      return { username: 'AWS', password };
+    }
+    case 'gcloud': {
+      const password = execFileSync('gcloud', ['auth', 'print-access-token'], { encoding: 'utf8' }).trim();
+      return { username: 'oauth2accesstoken', password };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Log in to a registry with docker login
+ *
+ * @returns {boolean} Whether the action logged in (and has to log out again)
+ */
+function loginToRegistry(registry) {
+  const credentials = readCredentials(registry);
+  
+  if (!credentials) {
+    core.info(`  ${registry.display}: credentials type "none", skipping login`);
+    return false;
+  }
+  
+  core.setSecret(credentials.password);
+  
+  const server = registry.host === 'docker.io' ? [] : [registry.host];
+  execFileSync('docker', ['login', '--username', credentials.username, '--password-stdin', ...server], {
+    input: credentials.password,
+    stdio: ['pipe', 'ignore', 'pipe']
+  });
+  
+  core.info(`  ✅ Logged in to ${registry.display} (${registry.host})`);
+  return true;
+}
+
+/**
+ * Resolve registries, set outputs and log in
+ */
+function resolveRegistries() {
+  const registriesInput = process.env.REGISTRIES || '';
+  const legacyRegistry = process.env.REGISTRY || 'both';
+  const imageName = process.env.IMAGE_NAME || (process.env.GITHUB_REPOSITORY || '').split('/').pop();
+  const owner = process.env.GITHUB_REPOSITORY_OWNER || '';
+  
+  try {
+    core.info('📦 Resolving target registries...');
+    
+    const registries = loadRegistryList(registriesInput, legacyRegistry)
+      .map(entry => resolveRegistry(entry, imageName, owner));
+    
+    const ids = registries.map(registry => registry.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+      throw new Error(`Registry id "${duplicate}" is used more than once`);
+    }
+    
+    registries.forEach(registry => {
+      core.info(`  ${registry.display}: ${registry.image}`);
+    });
+    
+    core.setOutput('images', registries.map(registry => registry.image).join('\n'));
+    core.setOutput('registry-images', registries.map(registry => `${registry.display}|${registry.image}`).join('\n'));
+    core.setOutput('display', registries.map(registry => registry.display).join(' + '));
+    core.setOutput('ids', ids.join(','));
+    core.setOutput('registries', JSON.stringify(registries.map(({ credentials, ...registry }) => registry)));
+    
+    core.info('🔐 Logging in to registries...');
+    const loggedIn = [];
+    try {
+      registries.forEach(registry => {
+        if (loginToRegistry(registry)) {
+          loggedIn.push(registry.host);
+        }
+      });
+    } finally {
+      // Registries logged in to before a failed login are logged out too
+      core.setOutput('logged-in', loggedIn.join(','));
+    }
+    
+    core.info(`✅ ${registries.length} registr${registries.length === 1 ? 'y' : 'ies'} resolved`);
+  } catch (error) {
+    // Without registries the build cannot push, so fail early
+    core.setFailed(`❌ Failed to resolve registries: ${error.message}`);
+  }
+}
+
+// Execute
+resolveRegistries();
@@ -0,0 +1,240 @@
+/**
+ * SBOM Diff
+ * =========
+ * Lists the packages of CycloneDX and SPDX SBOMs and diffs the current image against the baseline
+ *
+ * The vulnerability comparison only covers packages with known CVEs. The
+ * SBOM diff covers every package of the image: packages are identified by
+ * their package URL without version (pkg:deb/debian/openssl), grouped by
+ * ecosystem (the purl type), and every package that was added, removed,
+ * upgraded or downgraded is listed. Versions are compared with the same
+ * rules as the fix plan (see remediation.js).
+ *
+ * A package installed in several versions (e.g. nested npm dependencies) is
+ * compared by its highest version, and all versions are listed.
+ *
+ * Report format (sbom-diff.json):
+ *   {
+ *     "compared": true,
+ *     "format": "cyclonedx",
+ *     "baseline": { "image": "myorg/app@sha256:...", "tag": "dev-abc1234" },
+ *     "counts": { "added": 2, "removed": 1, "upgraded": 3, "downgraded": 0, "unchanged": 412 },
+ *     "ecosystems": [
+ *       {
+ *         "ecosystem": "deb",
+ *         "added": [{ "name": "curl", "version": "7.88.1-10" }],
+ *         "removed": [{ "name": "wget", "version": "1.21.3-1" }],
+ *         "upgraded": [{ "name": "openssl", "from": "3.0.11-1", "to": "3.0.13-1" }],
+ *         "downgraded": []
+ *       }
+ *     ]
+ *   }
+ */
+
+const { compareVersions } = require('./remediation');
+
+const CHANGES = ['added', 'removed', 'upgraded', 'downgraded'];
+
+// Package types whose purl namespace is the distribution rather than part of the name
+const DISTRO_TYPES = ['deb', 'rpm', 'apk'];
+
+// Packages listed per ecosystem and change in the PR comment
+const MAX_PACKAGES = 25;
+
+/**
+ * Split a package URL into ecosystem, versionless identity and display name
+ *
+ * Names are taken from the purl so CycloneDX and SPDX SBOMs name packages
+ * the same way (e.g. @babel/core, org.yaml:snakeyaml, openssl).
+ *
+ * @returns {{ecosystem: string, key: string, name: string}|null}
+ */
+function parsePurl(purl) {
+  const match = String(purl || '').match(/^pkg:([^/]+)\/([^@?#]+)/);
+  if (!match) {
+    return null;
+  }
+  
+  const ecosystem = match[1].toLowerCase();
+  const segments = match[2].split('/').map(segment => decodeURIComponent(segment));
+  let name = segments.join('/');
+  if (DISTRO_TYPES.includes(ecosystem)) {
+    name = segments[segments.length - 1];
+  } else if (ecosystem === 'maven') {
+    name = segments.join(':');
+  }
+  return { ecosystem: ecosystem, key: `${ecosystem}/${segments.join('/')}`, name: name };
+}
+
+/**
+ * List CycloneDX components, including nested ones
+ */
+function cycloneDxPackages(sbom) {
+  const packages = [];
+  const visit = components => (components || []).forEach(component => {
+    if (component.purl) {
+      packages.push({ purl: component.purl, version: component.version || '' });
+    }
+    visit(component.components);
+  });
+  visit(sbom.components);
+  return packages;
+}
+
+/**
+ * List SPDX packages that have a package URL
+ */
+function spdxPackages(sbom) {
+  return (sbom.packages || []).map(pkg => {
+    const reference = (pkg.externalRefs || []).find(ref => ref.referenceType === 'purl');
+    return reference ? { purl: reference.referenceLocator, version: pkg.versionInfo || '' } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Detect the format of an SBOM
+ */
+function detectFormat(sbom) {
+  if (sbom.bomFormat === 'CycloneDX') {
+    return 'cyclonedx';
+  }
+  if (String(sbom.spdxVersion || '').startsWith('SPDX-')) {
+    return 'spdx';
+  }
+  throw new Error('Unsupported SBOM format (expected CycloneDX or SPDX JSON)');
+}
+
+/**
+ * Index the packages of an SBOM by ecosystem and identity
+ *
+ * @param {object} sbom - Parsed CycloneDX or SPDX JSON document
+ * @returns {Map} key -> { ecosystem, name, versions[] }
+ */
+function indexPackages(sbom) {
+  const packages = detectFormat(sbom) === 'cyclonedx' ? cycloneDxPackages(sbom) : spdxPackages(sbom);
+  const index = new Map();
+  
+  packages.forEach(pkg => {
+    const identity = parsePurl(pkg.purl);
+    if (!identity) {
+      return;
+    }
+    if (!index.has(identity.key)) {
+      index.set(identity.key, { ecosystem: identity.ecosystem, name: identity.name, versions: [] });
+    }
+    const entry = index.get(identity.key);
+    if (!entry.versions.includes(pkg.version)) {
+      entry.versions.push(pkg.version);
+    }
+  });
+  
+  index.forEach(entry => entry.versions.sort(compareVersions));
+  return index;
+}
+
+/**
+ * Diff the packages of the current image against the baseline image
+ *
+ * @param {object} sbom - SBOM of the current image
+ * @param {object|null} baselineSbom - SBOM of the baseline image (null when not generated)
+ * @param {object|null} baseline - { image, tag } of the baseline image
+ * @returns {object} Report, see the file header
+ */
+function diffSboms(sbom, baselineSbom, baseline) {
+  const format = detectFormat(sbom);
+  if (!baselineSbom) {
+    return { compared: false, format: format, baseline: null, counts: null, ecosystems: [] };
+  }
+  
+  const current = indexPackages(sbom);
+  const previous = indexPackages(baselineSbom);
+  const ecosystems = new Map();
+  const counts = { added: 0, removed: 0, upgraded: 0, downgraded: 0, unchanged: 0 };
+  
+  const record = (ecosystem, change, entry) => {
+    if (!ecosystems.has(ecosystem)) {
+      ecosystems.set(ecosystem, { ecosystem: ecosystem, added: [], removed: [], upgraded: [], downgraded: [] });
+    }
+    ecosystems.get(ecosystem)[change].push(entry);
+    counts[change]++;
+  };
+  
+  current.forEach((pkg, key) => {
+    const before = previous.get(key);
+    const versions = pkg.versions.join(', ');
+    
+    if (!before) {
+      record(pkg.ecosystem, 'added', { name: pkg.name, version: versions });
+    } else if (versions === before.versions.join(', ')) {
+      counts.unchanged++;
+    } else {
+      const difference = compareVersions(pkg.versions[pkg.versions.length - 1], before.versions[before.versions.length - 1]);
+      record(pkg.ecosystem, difference < 0 ? 'downgraded' : 'upgraded', { name: pkg.name, from: before.versions.join(', '), to: versions });
+    }
+  });
+  
+  previous.forEach((pkg, key) => {
+    if (!current.has(key)) {
+      record(pkg.ecosystem, 'removed', { name: pkg.name, version: pkg.versions.join(', ') });
+    }
+  });
+  
+  const sorted = Array.from(ecosystems.values())
+    .map(entry => {
+      CHANGES.forEach(change => entry[change].sort((a, b) => a.name.localeCompare(b.name)));
+      return entry;
+    })
+    .sort((a, b) => a.ecosystem.localeCompare(b.ecosystem));
+  
+  return { compared: true, format: format, baseline: baseline, counts: counts, ecosystems: sorted };
+}
+
+/**
+ * Render the collapsible package changes section of the PR comment
+ *
+ * @param {object|null} report - Contents of sbom-diff.json
+ * @returns {string} Markdown section, empty without a comparison
+ */
+function renderSbomDiff(report) {
+  if (!report || !report.compared) {
+    return '';
+  }
+  
+  const { counts } = report;
+  const changed = counts.added + counts.removed + counts.upgraded + counts.downgraded;
+  const baseline = report.baseline ? ` \`${report.baseline.tag || report.baseline.image}\`` : '';
+  
+  let section = '### 📦 Package Changes\n\n';
+  if (changed === 0) {
+    return section + `*Same packages and versions as the baseline image${baseline} (${counts.unchanged} packages).*\n\n`;
+  }
+  
+  section += `Compared with the baseline image${baseline}: **${counts.added} added**, **${counts.removed} removed**, **${counts.upgraded} upgraded**, **${counts.downgraded} downgraded** (${counts.unchanged} unchanged).\n\n`;
+  section += '<details>\n<summary>📋 View Package Changes</summary>\n\n';
+  
+  let omitted = 0;
+  report.ecosystems.forEach(entry => {
+    const rows = [
+      ...entry.added.map(pkg => `| 🆕 added | \`${pkg.name}\` | | \`${pkg.version}\` |`),
+      ...entry.removed.map(pkg => `| 🗑️ removed | \`${pkg.name}\` | \`${pkg.version}\` | |`),
+      ...entry.upgraded.map(pkg => `| ⬆️ upgraded | \`${pkg.name}\` | \`${pkg.from}\` | \`${pkg.to}\` |`),
+      ...entry.downgraded.map(pkg => `| ⬇️ downgraded | \`${pkg.name}\` | \`${pkg.from}\` | \`${pkg.to}\` |`)
+    ];
+    
+    section += `**${entry.ecosystem}** (${CHANGES.filter(change => entry[change].length > 0).map(change => `${entry[change].length} ${change}`).join(', ')})\n\n`;
+    section += '| Change | Package | Baseline | This build |\n|--------|---------|----------|------------|\n';
+    section += rows.slice(0, MAX_PACKAGES).join('\n') + '\n\n';
+    omitted += Math.max(rows.length - MAX_PACKAGES, 0);
+  });
+  
+  if (omitted > 0) {
+    section += `*${omitted} more package changes are listed in \`sbom-diff.json\`.*\n\n`;
+  }
+  section += '</details>\n\n';
+  return section;
+}
+
+module.exports = {
+  diffSboms,
+  renderSbomDiff
+};
@@ -0,0 +1,165 @@
+#!/bin/bash
+# =============================================================================
+# SCAN PLATFORMS - Per-Platform Image Scanning
+# =============================================================================
+# Scan every platform of a multi-arch image with Trivy
+#
+# The image scan step only scans the platform Trivy resolves for the image
+# reference, so findings that only exist on other architectures would never
+# be reported. For multi-platform builds this script scans each platform
+# separately; parse-trivy-results.js merges the results. The baseline image
+# is scanned the same way so generate-comparison.js can merge it too.
+#
+# Single-platform builds are skipped, the regular image scan covers them.
+#
+# Inputs (from environment):
+#   PLATFORMS           : Built platforms (comma-separated, e.g. linux/amd64,linux/arm64)
+#   IMAGE_REF           : Image reference to scan
+#   SCAN_SEVERITY       : Trivy severity levels (comma-separated)
+#   SCAN_IGNORE_UNFIXED : Ignore vulnerabilities without available fixes (true/false)
+#   SCAN_TIMEOUT        : Trivy scan timeout duration
+#   RESULTS_PREFIX      : Result file prefix (default: trivy-image-results)
+#
+# Outputs:
+#   <prefix>-<platform>.json            : Scan results per platform
+#                                         (e.g. trivy-image-results-linux-arm64.json)
+#   platforms (via GitHub Actions)      : Successfully scanned platforms (comma-separated)
+# =============================================================================
+
+set -euo pipefail
+
+# =============================================================================
+# CONFIGURATION
+# =============================================================================
+
+PLATFORMS="${PLATFORMS:-}"
+IMAGE_REF="${IMAGE_REF:-}"
+SCAN_SEVERITY="${SCAN_SEVERITY:-HIGH,CRITICAL}"
+SCAN_IGNORE_UNFIXED="${SCAN_IGNORE_UNFIXED:-false}"
+SCAN_TIMEOUT="${SCAN_TIMEOUT:-10m0s}"
+RESULTS_PREFIX="${RESULTS_PREFIX:-trivy-image-results}"
+
+# Colors for output
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+CYAN='\033[0;36m'
+NC='\033[0m' # No Color
+
+# =============================================================================
+# HELPER FUNCTIONS
+# =============================================================================
+
+log_info() {
+    echo -e "${BLUE}ℹ️  $1${NC}" >&2
+}
+
+log_success() {
+    echo -e "${GREEN}✅ $1${NC}" >&2
+}
+
+log_warning() {
+    echo -e "${YELLOW}⚠️  $1${NC}" >&2
+}
+
+log_error() {
+    echo -e "${RED}❌ $1${NC}" >&2
+}
+
+log_debug() {
+    echo -e "${CYAN}🔍 $1${NC}" >&2
+}
+
+# File-safe platform name (linux/arm/v7 -> linux-arm-v7)
+platform_slug() {
+    echo "${1//\//-}"
+}
+
+# =============================================================================
+# SCANNING
+# =============================================================================
+
+scan_platform() {
+    local platform="$1"
+    local output
+    output="${RESULTS_PREFIX}-$(platform_slug "$platform").json"
+    
+    local args=(image --platform "$platform" --format json --output "$output" --severity "$SCAN_SEVERITY" --timeout "$SCAN_TIMEOUT")
+    if [ "$SCAN_IGNORE_UNFIXED" = "true" ]; then
+        args+=(--ignore-unfixed)
+    fi
+    
+    log_info "Scanning ${platform}..."
+    log_debug "  trivy ${args[*]} ${IMAGE_REF}"
+    
+    if trivy "${args[@]}" "$IMAGE_REF"; then
+        log_success "Scanned ${platform} → ${output}"
+        return 0
+    fi
+    
+    # A failed platform must not leave stale results behind
+    rm -f "$output"
+    log_warning "Scan of ${platform} failed, its findings are not included"
+    return 1
+}
+
+# =============================================================================
+# MAIN EXECUTION
+# =============================================================================
+
+main() {
+    echo ""
+    echo "╔════════════════════════════════════════════════════════════════╗"
+    echo "║         Container Build Flow - Per-Platform Image Scan        ║"
+    echo "╚════════════════════════════════════════════════════════════════╝"
+    echo ""
+    
+    local platforms=() platform
+    IFS=',' read -ra platforms <<< "$PLATFORMS"
+    
+    local requested=()
+    for platform in "${platforms[@]}"; do
+        platform=$(echo "$platform" | xargs)
+        [ -n "$platform" ] && requested+=("$platform")
+    done
+    
+    if [ "${#requested[@]}" -lt 2 ]; then
+        log_info "Single-platform build, covered by the image scan"
+        echo "platforms=" >> "${GITHUB_OUTPUT:-/dev/null}"
+        return 0
+    fi
+    
+    if [ -z "$IMAGE_REF" ]; then
+        log_error "IMAGE_REF not set"
+        exit 1
+    fi
+    
+    if ! command -v trivy > /dev/null 2>&1; then
+        log_error "trivy not found on PATH, skipping per-platform scans"
+        echo "platforms=" >> "${GITHUB_OUTPUT:-/dev/null}"
+        return 0
+    fi
+    
+    log_info "Image: ${IMAGE_REF}"
+    log_info "Platforms: ${requested[*]}"
+    echo ""
+    
+    local scanned=()
+    for platform in "${requested[@]}"; do
+        if scan_platform "$platform"; then
+            scanned+=("$platform")
+        fi
+    done
+    
+    local result
+    result=$(IFS=','; echo "${scanned[*]}")
+    echo "platforms=${result}" >> "${GITHUB_OUTPUT:-/dev/null}"
+    
+    echo ""
+    log_success "Scanned ${#scanned[@]} of ${#requested[@]} platform(s)"
+    echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
+}
+
+# Execute main function
+main "$@"
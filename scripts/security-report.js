@@ -0,0 +1,592 @@
+/**
+ * Security Report Renderer
+ * ========================
+ * Renders the security section shared by PR comments, job summaries and the
+ * standalone markdown export
+ *
+ * The section covers the pre-build scans (source vulnerabilities by
+ * lockfile, and every Dockerfile misconfiguration with a link to its
+ * line), the container image vulnerability counts (or the baseline
+ * comparison when enabled), the per-platform breakdown of multi-platform
+ * builds, the base image attribution, the fix plan, findings suppressed by
+ * vulnerability exceptions and links to the GitHub Security tab. The
+ * vulnerability details list is left as a placeholder, so every consumer
+ * can fill it within its own size limit.
+ */
+
+const fs = require('fs');
+const { groupFindings } = require('./vulnerability-details');
+const { applyExceptions } = require('./vulnerability-exceptions');
+const { SEVERITY_EMOJI, severityRank } = require('./severity');
+
+const DETAILS_PLACEHOLDER = '<!-- vulnerability-details -->';
+
+// Platform-specific findings listed before the rest is summarized
+const MAX_PLATFORM_SPECIFIC = 10;
+
+// Fix plan upgrades and unfixable packages listed before the rest is summarized
+const MAX_FIX_PLAN = 10;
+
+// Dockerfile misconfigurations listed before the rest is summarized
+const MAX_MISCONFIGURATIONS = 20;
+
+// Lockfiles and new source vulnerabilities listed before the rest is summarized
+const MAX_LOCKFILES = 10;
+const MAX_NEW_SOURCE = 10;
+
+/**
+ * Read and parse a JSON file, returning null when missing or invalid
+ */
+function readJsonIfExists(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load the scan summary, comparison and image results of the current build
+ *
+ * Exceptions are evaluated by parse-trivy-results.js; the image results are
+ * returned without the findings they suppress.
+ *
+ * @returns {{summary: object|null, exceptions: Array, imageResults: object|null, comparison: object|null,
+ *   fixPlan: object|null, misconfigurations: object|null, sourceDependencies: object|null}}
+ */
+function loadScanResults() {
+  const summary = readJsonIfExists('trivy-scan-summary.json');
+  const exceptions = summary && Array.isArray(summary.exceptions) ? summary.exceptions : [];
+  
+  return {
+    summary: summary,
+    exceptions: exceptions,
+    imageResults: applyExceptions(readJsonIfExists('trivy-image-results.json'), exceptions).results,
+    comparison: readJsonIfExists('trivy-comparison.json'),
+    fixPlan: readJsonIfExists('trivy-fix-plan.json'),
+    misconfigurations: readJsonIfExists('trivy-misconfigurations.json'),
+    sourceDependencies: readJsonIfExists('trivy-source-dependencies.json')
+  };
+}
+
+/**
+ * Break finding counts down by severity (e.g. "🔴 1 · 🟠 2")
+ */
+function severityBreakdown(counts) {
+  return [
+    ['critical', '🔴'],
+    ['high', '🟠'],
+    ['medium', '🟡'],
+    ['low', '🟢'],
+    ['unknown', '⚪']
+  ]
+    .filter(([severity]) => counts[severity] > 0)
+    .map(([severity, emoji]) => `${emoji} ${counts[severity]}`)
+    .join(' · ');
+}
+
+/**
+ * Describe finding counts with a severity breakdown
+ */
+function describeFindings(counts, noun) {
+  const breakdown = severityBreakdown(counts);
+  return `${counts.total} ${noun}${breakdown ? ` (${breakdown})` : ''}`;
+}
+
+/**
+ * Describe all findings of a pre-build scan
+ */
+function describeScan(scan, primaryType) {
+  const parts = [describeFindings(scan[primaryType], primaryType)];
+  if (scan.secrets.total > 0) {
+    parts.push(describeFindings(scan.secrets, 'secrets'));
+  }
+  if (scan.licenses.total > 0) {
+    parts.push(describeFindings(scan.licenses, 'license findings'));
+  }
+  if (primaryType !== 'misconfigurations' && scan.misconfigurations.total > 0) {
+    parts.push(describeFindings(scan.misconfigurations, 'misconfigurations'));
+  }
+  return parts.join(', ') + ' found';
+}
+
+/**
+ * Status icon of a pre-build scan: ✅ only when it found nothing
+ */
+function scanIcon(scan) {
+  const total = ['vulnerabilities', 'misconfigurations', 'secrets', 'licenses']
+    .reduce((sum, type) => sum + scan[type].total, 0);
+  return total === 0 ? '✅' : '⚠️';
+}
+
+/**
+ * Render source vulnerabilities by lockfile and those added since the base branch
+ *
+ * @param {object|null} report - Contents of trivy-source-dependencies.json
+ * @param {object|null} changes - New, existing and resolved counts from the scan summary
+ */
+function renderSourceDependencies(report, changes) {
+  if ((!report || report.targets.length === 0) && !changes) {
+    return '';
+  }
+  
+  let section = '#### 📦 Source Dependencies\n\n';
+  
+  if (changes) {
+    const breakdown = severityBreakdown(changes.new);
+    const parts = [`**${changes.new.total} new**${breakdown ? ` (${breakdown})` : ''}`, `${changes.existing} existing`];
+    if (changes.resolved > 0) {
+      parts.push(`${changes.resolved} resolved`);
+    }
+    section += `Compared with the base branch: ${parts.join(', ')}.\n\n`;
+  }
+  
+  if (!report || report.targets.length === 0) {
+    return section;
+  }
+  
+  const { targets, compared } = report;
+
+  section += compared ? '| Lockfile | Vulnerabilities | New |\n|----------|-----------------|-----|\n' : '| Lockfile | Vulnerabilities |\n|----------|-----------------|\n';
+  targets.slice(0, MAX_LOCKFILES).forEach(entry => {
+    const row = `| \`${entry.target}\` | ${severityBreakdown(entry.counts)} |`;
+    section += compared ? `${row} ${entry.new.total > 0 ? `🆕 ${severityBreakdown(entry.new)}` : '—'} |\n` : `${row}\n`;
+  });
+  if (targets.length > MAX_LOCKFILES) {
+    section += `\n*…and ${targets.length - MAX_LOCKFILES} more lockfiles in trivy-source-dependencies.json*\n`;
+  }
+  section += '\n';
+  
+  // The same new vulnerability in several lockfiles is listed once
+  const added = new Map();
+  targets.forEach(entry => {
+    entry.vulnerabilities.filter(finding => finding.status === 'new').forEach(finding => {
+      const key = `${finding.id}|${finding.package}|${finding.version}`;
+      if (!added.has(key)) {
+        added.set(key, { ...finding, targets: [] });
+      }
+      added.get(key).targets.push(entry.target);
+    });
+  });
+  
+  if (added.size > 0) {
+    const findings = Array.from(added.values())
+      .sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+    
+    section += '**Added by dependency changes:**\n\n';
+    findings.slice(0, MAX_NEW_SOURCE).forEach(finding => {
+      const fix = finding.fixedVersion ? `, fixed in ${finding.fixedVersion}` : ', no fix yet';
+      const locations = finding.targets.map(target => `\`${target}\``).join(', ');
+      section += `- ${SEVERITY_EMOJI[finding.severity] || '⚪'} **${finding.id}** in \`${finding.package}\` ${finding.version}${fix} — ${locations}\n`;
+    });
+    if (findings.length > MAX_NEW_SOURCE) {
+      section += `- *…and ${findings.length - MAX_NEW_SOURCE} more in trivy-source-dependencies.json*\n`;
+    }
+    section += '\n';
+  }
+  
+  return section;
+}
+
+/**
+ * Render the Dockerfile misconfigurations with links to their lines
+ *
+ * @param {object|null} misconfigurations - Contents of trivy-misconfigurations.json
+ * @param {string} dockerfileUrl - Blob URL of the scanned Dockerfile (no links when empty)
+ */
+function renderMisconfigurations(misconfigurations, dockerfileUrl) {
+  if (!misconfigurations || misconfigurations.findings.length === 0) {
+    return '';
+  }
+  
+  let section = '#### 🐳 Dockerfile Misconfigurations\n\n';
+  const { findings, resolved, compared } = misconfigurations;
+  
+  if (compared) {
+    const added = findings.filter(finding => finding.status === 'new').length;
+    const parts = [`**${added} new**`, `${findings.length - added} existing`];
+    if (resolved.length > 0) {
+      parts.push(`${resolved.length} resolved`);
+    }
+    section += `Compared with the base branch Dockerfile: ${parts.join(', ')}.\n\n`;
+  }
+  
+  // New findings first, so changes introduced by this build stand out
+  const ordered = compared
+    ? findings.filter(finding => finding.status === 'new').concat(findings.filter(finding => finding.status !== 'new'))
+    : findings;
+  
+  ordered.slice(0, MAX_MISCONFIGURATIONS).forEach(finding => {
+    const marker = finding.status === 'new' ? '🆕 ' : '';
+    const title = finding.url ? `[${finding.title}](${finding.url})` : finding.title;
+    const lines = finding.endLine > finding.startLine ? `L${finding.startLine}-L${finding.endLine}` : `L${finding.startLine}`;
+    const label = `${finding.target || 'Dockerfile'}:${lines.replace(/L/g, '')}`;
+    const location = finding.startLine > 0
+      ? ` — ${dockerfileUrl ? `[${label}](${dockerfileUrl}#${lines})` : `\`${label}\``}`
+      : '';
+    
+    section += `- ${marker}${SEVERITY_EMOJI[finding.severity] || '⚪'} **${finding.id}** ${title}${location}\n`;
+    if (finding.resolution) {
+      // Resolutions contain placeholders like <non root user name>
+      section += `  ${finding.resolution.replace(/</g, '&lt;').replace(/>/g, '&gt;')}\n`;
+    }
+  });
+  
+  if (ordered.length > MAX_MISCONFIGURATIONS) {
+    section += `- *…and ${ordered.length - MAX_MISCONFIGURATIONS} more in trivy-dockerfile-results.json*\n`;
+  }
+  
+  return section + '\n';
+}
+
+/**
+ * Render the pre-build scan results
+ */
+function renderPreBuildChecks(summary, scan, dockerfileUrl) {
+  let section = '### 📋 Pre-Build Security Checks\n\n';
+  
+  const scans = summary && summary.scans ? summary.scans : null;
+  const preBuildChecks = [];
+  
+  // Check source code scan results
+  if (fs.existsSync('trivy-source-results.json')) {
+    if (scans && scans.source.completed) {
+      preBuildChecks.push(`${scanIcon(scans.source)} **Source Code Scan:** ${describeScan(scans.source, 'vulnerabilities')}`);
+    } else {
+      preBuildChecks.push('⚠️ **Source Code Scan:** Completed (results unavailable)');
+    }
+  }
+  
+  // Check Dockerfile scan results
+  if (fs.existsSync('trivy-dockerfile-results.json')) {
+    if (scans && scans.dockerfile.completed) {
+      preBuildChecks.push(`${scanIcon(scans.dockerfile)} **Dockerfile Scan:** ${describeScan(scans.dockerfile, 'misconfigurations')}`);
+    } else {
+      preBuildChecks.push('⚠️ **Dockerfile Scan:** Completed (results unavailable)');
+    }
+  }
+  
+  if (preBuildChecks.length > 0) {
+    section += preBuildChecks.join('  \n') + '\n\n';
+    if (scans && scans.source.completed) {
+      section += renderSourceDependencies(scan.sourceDependencies, summary.source_changes);
+    }
+    if (scans && scans.dockerfile.completed) {
+      section += renderMisconfigurations(scan.misconfigurations, dockerfileUrl);
+    }
+  } else {
+    section += '*Pre-build scans were not performed or results are unavailable.*\n\n';
+  }
+  
+  return section;
+}
+
+/**
+ * Render which baseline the comparison used and why
+ */
+function renderBaseline(baseline) {
+  if (!baseline || !baseline.source) {
+    return '';
+  }
+  
+  let used;
+  if (baseline.source === 'stored') {
+    const build = [baseline.image && `\`${baseline.image}\``, baseline.scanned_at && baseline.scanned_at.substring(0, 10)].filter(Boolean);
+    used = `stored scan results from \`${baseline.branch}\`${build.length > 0 ? ` (${build.join(', ')})` : ''}`;
+  } else if (baseline.image && baseline.tag) {
+    // Resolved images are pinned to a digest, show the tag they came from instead
+    const [repository, digest] = baseline.image.split('@');
+    used = `\`${repository}:${baseline.tag}\`${digest ? ` (\`${digest.substring(0, 19)}\`)` : ''}`;
+  } else {
+    used = baseline.image ? `\`${baseline.image}\`` : 'none';
+  }
+  
+  return `**Baseline:** ${used}${baseline.reason ? ` — ${baseline.reason}` : ''}\n\n`;
+}
+
+/**
+ * Render the baseline comparison table and insights
+ */
+function renderComparison(comparison, summary) {
+  const row = (label, category) =>
+    `| ${label} | ${category.counts.critical} | ${category.counts.high} | ${category.counts.medium} | ${category.counts.low} | **${category.total}** |\n`;
+  
+  let section = '#### Vulnerability Comparison\n\n';
+  section += renderBaseline(comparison.baseline);
+  section += '| Category | Critical | High | Medium | Low | Total |\n';
+  section += '|----------|----------|------|--------|-----|-------|\n';
+  section += row('🆕 **New**', comparison.new);
+  section += row('✅ **Fixed**', comparison.fixed);
+  section += row('⬆️ **Bumped, Still Vulnerable**', comparison.version_bumped);
+  section += row('🔀 **Severity Changed**', comparison.severity_changed);
+  section += row('🩹 **Fix Now Available**', comparison.fix_available);
+  section += row('🔄 **Unchanged**', comparison.unchanged);
+  section += `| 📊 **Current Total** | ${summary.critical} | ${summary.high} | ${summary.medium} | ${summary.low} | **${summary.total}** |\n\n`;
+  
+  // Add comparison insights
+  if (comparison.new.total > 0) {
+    section += `⚠️ **${comparison.new.total} new vulnerabilities** introduced in this build\n\n`;
+  }
+  if (comparison.fixed.total > 0) {
+    section += `✅ **${comparison.fixed.total} vulnerabilities** fixed in this build\n\n`;
+  }
+  if (comparison.version_bumped.total > 0) {
+    const bumpedPackages = [...new Set(comparison.version_bumped.vulnerabilities.map(vuln => `\`${vuln.package}\` (${vuln.previousVersion} → ${vuln.version})`))];
+    section += `⬆️ **${comparison.version_bumped.total} vulnerabilities** remain after upgrading ${bumpedPackages.slice(0, 5).join(', ')}${bumpedPackages.length > 5 ? `, and ${bumpedPackages.length - 5} more` : ''}\n\n`;
+  }
+  if (comparison.fix_available.total > 0) {
+    section += `🩹 **${comparison.fix_available.total} existing vulnerabilities** now have a fix available\n\n`;
+  }
+  
+  return section;
+}
+
+/**
+ * Render the image vulnerability counts by severity
+ */
+function renderSeverityTable(summary) {
+  let section = '| Severity | Count |\n';
+  section += '|----------|-------|\n';
+  if (summary.critical > 0) {
+    section += `| 🔴 **Critical** | ${summary.critical} |\n`;
+  }
+  if (summary.high > 0) {
+    section += `| 🟠 **High** | ${summary.high} |\n`;
+  }
+  if (summary.medium > 0) {
+    section += `| 🟡 **Medium** | ${summary.medium} |\n`;
+  }
+  if (summary.low > 0) {
+    section += `| 🟢 **Low** | ${summary.low} |\n`;
+  }
+  section += `| **Total** | **${summary.total}** |\n\n`;
+  return section;
+}
+
+/**
+ * Render how many vulnerabilities come from the base image, and what a base upgrade removes
+ */
+function renderBaseImage(baseImage) {
+  if (!baseImage || !baseImage.image) {
+    return '';
+  }
+  
+  const total = baseImage.base.total + baseImage.app.total;
+  const upgrade = baseImage.upgrade;
+  if (total === 0 && !upgrade) {
+    return '';
+  }
+  
+  const noun = count => count === 1 ? 'vulnerability' : 'vulnerabilities';
+  const breakdown = severityBreakdown(baseImage.base);
+  let section = '#### 🧱 Base Image\n\n';
+  section += `**${baseImage.base.total} of ${total} ${noun(total)}** ${baseImage.base.total === 1 ? 'comes' : 'come'} from \`${baseImage.image}\`${breakdown ? ` (${breakdown})` : ''}, `;
+  section += `${baseImage.app.total} from the application layers.\n\n`;
+  
+  if (upgrade && !upgrade.completed) {
+    section += `*The newer base image \`${upgrade.image}\` could not be scanned.*\n\n`;
+  } else if (upgrade) {
+    const added = upgrade.added.total > 0 ? describeFindings(upgrade.added, noun(upgrade.added.total)) : '';
+    section += upgrade.removed.total > 0
+      ? `⬆️ Upgrading to \`${upgrade.image}\` would remove **${describeFindings(upgrade.removed, noun(upgrade.removed.total))}**${added ? ` and add ${added}` : ''}.\n\n`
+      : `Upgrading to \`${upgrade.image}\` would not remove any base image vulnerabilities${added ? ` and would add ${added}` : ''}.\n\n`;
+  }
+  
+  return section;
+}
+
+/**
+ * Render the per-platform breakdown of a multi-platform build
+ */
+function renderPlatforms(summary) {
+  if (!Array.isArray(summary.platforms) || summary.platforms.length < 2) {
+    return '';
+  }
+  
+  let section = '#### 🖥️ Per-Platform Breakdown\n\n';
+  section += '| Platform | Critical | High | Medium | Low | Total | Platform-Specific |\n';
+  section += '|----------|----------|------|--------|-----|-------|-------------------|\n';
+  summary.platforms.forEach(entry => {
+    const counts = entry.vulnerabilities;
+    section += `| \`${entry.platform}\` | ${counts.critical} | ${counts.high} | ${counts.medium} | ${counts.low} | **${counts.total}** | ${entry.specific} |\n`;
+  });
+  section += '\n';
+  
+  const specific = summary.platform_specific;
+  if (!specific || specific.total === 0) {
+    section += '✅ All platforms share the same vulnerabilities\n\n';
+    return section;
+  }
+  
+  const listed = specific.vulnerabilities
+    .slice()
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || a.id.localeCompare(b.id))
+    .slice(0, MAX_PLATFORM_SPECIFIC);
+  
+  section += `⚠️ **${specific.total} vulnerabilities** only affect some platforms:\n\n`;
+  section += listed
+    .map(vuln => `- ${SEVERITY_EMOJI[vuln.severity] || '⚪'} \`${vuln.id}\` in \`${vuln.package}\` (${vuln.version}) — ${vuln.platforms.map(platform => `\`${platform}\``).join(', ')} only`)
+    .join('\n') + '\n';
+  if (specific.total > listed.length) {
+    section += `- …and ${specific.total - listed.length} more\n`;
+  }
+  section += '\n';
+  
+  return section;
+}
+
+/**
+ * Render the ranked package upgrades and the findings without a fix
+ */
+function renderFixPlan(fixPlan) {
+  if (!fixPlan || (fixPlan.upgrades.length === 0 && fixPlan.unfixable.total === 0)) {
+    return '';
+  }
+  
+  const describe = counts => describeFindings(counts, counts.total === 1 ? 'vulnerability' : 'vulnerabilities');
+  let section = '#### 🛠️ Fix Plan\n\n';
+  
+  if (fixPlan.upgrades.length > 0) {
+    const listed = fixPlan.upgrades.slice(0, MAX_FIX_PLAN);
+    section += `**${fixPlan.upgrades.length} package upgrade${fixPlan.upgrades.length === 1 ? '' : 's'}** fix ${fixPlan.fixable} ${fixPlan.fixable === 1 ? 'vulnerability' : 'vulnerabilities'}:\n\n`;
+    section += '| # | Package | Installed | Upgrade To | Fixes |\n';
+    section += '|---|---------|-----------|------------|-------|\n';
+    listed.forEach(upgrade => {
+      section += `| ${upgrade.rank} | \`${upgrade.package}\`${upgrade.type ? ` (${upgrade.type})` : ''} | ${upgrade.installed_version} | **${upgrade.fixed_version}** | ${describe(upgrade.counts)} |\n`;
+    });
+    section += '\n';
+    if (fixPlan.upgrades.length > listed.length) {
+      section += `*…and ${fixPlan.upgrades.length - listed.length} more upgrades in \`trivy-fix-plan.json\`.*\n\n`;
+    }
+  }
+  
+  if (fixPlan.unfixable.total > 0) {
+    const byPackage = new Map();
+    fixPlan.unfixable.vulnerabilities.forEach(vuln => {
+      byPackage.set(vuln.package, [...(byPackage.get(vuln.package) || []), vuln.id]);
+    });
+    const packages = Array.from(byPackage.entries());
+    
+    section += `⛔ **${describe(fixPlan.unfixable.counts)}** ${fixPlan.unfixable.total === 1 ? 'has' : 'have'} no fix yet: `;
+    section += packages
+      .slice(0, MAX_FIX_PLAN)
+      .map(([name, ids]) => `\`${name}\` (${[...new Set(ids)].join(', ')})`)
+      .join(', ');
+    section += packages.length > MAX_FIX_PLAN ? `, and ${packages.length - MAX_FIX_PLAN} more packages\n\n` : '\n\n';
+  }
+  
+  return section;
+}
+
+/**
+ * Render suppressed findings and exceptions that need review
+ */
+function renderExceptions(summary, exceptions) {
+  const scans = summary && summary.scans ? summary.scans : {};
+  const suppressedByScan = Object.entries(scans)
+    .filter(([, scan]) => scan.suppressed && scan.suppressed.total > 0)
+    .map(([name, scan]) => `${name}: ${scan.suppressed.total}`);
+  const suppressedTotal = Object.values(scans).reduce((sum, scan) => sum + (scan.suppressed ? scan.suppressed.total : 0), 0);
+  const expired = exceptions.filter(exception => exception.status === 'expired');
+  const expiring = exceptions.filter(exception => exception.status === 'expiring');
+  
+  if (suppressedTotal === 0 && expired.length === 0 && expiring.length === 0) {
+    return '';
+  }
+  
+  const describeException = exception => {
+    const ticket = /^https?:\/\//.test(exception.ticket) ? `[ticket](${exception.ticket})` : exception.ticket;
+    return `\`${exception.id}\`${exception.package ? ` (\`${exception.package}\`)` : ''} — ${exception.reason} — ${ticket}`;
+  };
+  
+  let section = '### 🙈 Vulnerability Exceptions\n\n';
+  
+  if (suppressedTotal > 0) {
+    section += `**${suppressedTotal} vulnerabilities** suppressed by exceptions (${suppressedByScan.join(', ')}), not included in the counts above\n\n`;
+  }
+  
+  if (expired.length > 0) {
+    section += `⏰ **${expired.length} expired exception${expired.length === 1 ? '' : 's'}** ${expired.length === 1 ? 'no longer suppresses its finding' : 'no longer suppress their findings'}:\n\n`;
+    section += expired.map(exception => `- ${describeException(exception)} (expired ${exception.expires})`).join('\n') + '\n\n';
+  }
+  
+  if (expiring.length > 0) {
+    section += `⏳ **${expiring.length} exception${expiring.length === 1 ? '' : 's'}** expiring soon, review before they lapse:\n\n`;
+    section += expiring
+      .map(exception => `- ${describeException(exception)} (expires ${exception.expires}, ${exception.daysLeft === 0 ? 'today' : `in ${exception.daysLeft} day${exception.daysLeft === 1 ? '' : 's'}`})`)
+      .join('\n') + '\n\n';
+  }
+  
+  return section;
+}
+
+/**
+ * Render the security section
+ *
+ * @param {object} scan - Scan results from loadScanResults()
+ * @param {object} options - { preBuildScan, imageScan, comparison, securityTabUrl, dockerfileUrl }
+ * @returns {{markdown: string, findings: Array}} Section markdown (with the details placeholder
+ *   when vulnerabilities are listed) and the grouped findings for the details list
+ */
+function renderSecuritySection(scan, options) {
+  const summary = scan.summary;
+  let findings = [];
+  let section = '\n---\n\n## 🔒 Security Scan Results\n\n';
+  
+  // Pre-build scan results
+  if (options.preBuildScan) {
+    section += renderPreBuildChecks(summary, scan, options.dockerfileUrl || '');
+  }
+  
+  // Container image scan results
+  if (options.imageScan) {
+    section += '### 🐳 Container Image Vulnerabilities\n\n';
+    
+    if (!summary) {
+      section += fs.existsSync('trivy-scan-summary.json')
+        ? '*Scan results are unavailable.*\n\n'
+        : '*Container image was not scanned or results are unavailable.*\n\n';
+    } else if (!summary.completed) {
+      section += '*Container image scan did not complete successfully.*\n\n';
+    } else {
+      const comparison = scan.comparison;
+      if (options.comparison && comparison && comparison.comparison_available) {
+        section += renderComparison(comparison, summary);
+      } else {
+        if (options.comparison && comparison && comparison.baseline) {
+          section += `*No baseline comparison: ${comparison.message}.*\n\n`;
+          section += renderBaseline(comparison.baseline);
+        }
+        section += renderSeverityTable(summary);
+      }
+      
+      section += renderBaseImage(summary.base_image);
+      section += renderPlatforms(summary);
+      section += renderFixPlan(scan.fixPlan);
+      
+      // Details are rendered by the caller once the remaining room is known
+      if (summary.total > 0 && scan.imageResults) {
+        findings = groupFindings(scan.imageResults);
+        section += DETAILS_PLACEHOLDER;
+      }
+    }
+  }
+  
+  section += renderExceptions(summary, scan.exceptions);
+  
+  // Links to GitHub Security tab
+  section += '### 📊 Detailed Security Reports\n\n';
+  section += `View detailed vulnerability reports in the [GitHub Security tab](${options.securityTabUrl}).\n\n`;
+  
+  return { markdown: section, findings: findings };
+}
+
+module.exports = {
+  DETAILS_PLACEHOLDER,
+  readJsonIfExists,
+  loadScanResults,
+  renderSecuritySection
+};
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * Send Notifications Script
+ * =========================
+ * Sends build and scan results to Slack, Microsoft Teams and JSON webhooks
+ *
+ * This script runs at the end of the action, also when the vulnerability
+ * gate failed the build. It builds one notification from the scan summary,
+ * the comparison report and the gate verdict, and posts it to every
+ * configured target whose flows and conditions match (see notifications.js).
+ * A failing target is reported as a warning and does not fail the build.
+ *
+ * Environment Variables:
+ *   NOTIFICATIONS         : Inline JSON notification targets or path to a JSON file
+ *   NOTIFICATION_TIMEOUT  : Request timeout per target in seconds (default 10)
+ *   BUILD_FLOW_TYPE       : Detected build flow
+ *   BUILD_OUTCOME         : Outcome of the image build step (success, failure, skipped)
+ *   FLOW_RULES            : Flow rules config, used for custom flow metadata
+ *   IMAGE_TAGS            : Comma-separated image tags (the first one is reported)
+ *   RESOLVED_SHA          : Commit SHA of the build
+ *   GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID, GITHUB_REF_NAME, GITHUB_EVENT_PATH
+ *
+ * Input:
+ *   - trivy-scan-summary.json: Image vulnerability counts
+ *   - trivy-comparison.json: New and fixed vulnerabilities against the baseline
+ *   - trivy-gate-results.json: Vulnerability gate verdict
+ *
+ * Output:
+ *   - GitHub Actions outputs: sent (number of notified targets)
+ */
+
+const fs = require('fs');
+const core = require('@actions/core');
+const { BUILTIN_FLOWS, loadFlowConfig } = require('./flow-rules');
+const { readJsonIfExists } = require('./security-report');
+const { loadNotificationTargets, matchTarget, buildNotification, formatPayload } = require('./notifications');
+
+const DEFAULT_TIMEOUT = 10;
+
+/**
+ * Read the pull request of the triggering event, if any
+ */
+function readPullRequest() {
+  const eventPath = process.env.GITHUB_EVENT_PATH || '';
+  if (!eventPath || !fs.existsSync(eventPath)) {
+    return null;
+  }
+  
+  try {
+    const event = JSON.parse(fs.readFileSync(eventPath, 'utf8'));
+    return event.pull_request ? { number: event.pull_request.number, url: event.pull_request.html_url } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Collect the build context of the notification
+ */
+function readContext() {
+  const flowType = process.env.BUILD_FLOW_TYPE || 'wip';
+  
+  // Built-in flows plus custom flows from the flow rules config
+  let flows = BUILTIN_FLOWS;
+  try {
+    flows = loadFlowConfig(process.env.FLOW_RULES || '').flows;
+  } catch (error) {
+    core.warning(`Could not load flow rules, using built-in flow metadata: ${error.message}`);
+  }
+  const flow = flows[flowType] || flows.wip;
+  
+  const repository = process.env.GITHUB_REPOSITORY || '';
+  const repositoryUrl = `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${repository}`;
+  
+  return {
+    flow: { type: flowType, title: flow.title, emoji: flow.emoji, color: flow.color },
+    build: process.env.BUILD_OUTCOME || 'success',
+    repository: repository,
+    repositoryUrl: repositoryUrl,
+    ref: process.env.GITHUB_REF_NAME || '',
+    sha: process.env.RESOLVED_SHA || process.env.GITHUB_SHA || '',
+    runUrl: `${repositoryUrl}/actions/runs/${process.env.GITHUB_RUN_ID || ''}`,
+    pullRequest: readPullRequest(),
+    image: (process.env.IMAGE_TAGS || '').split(',')[0].trim()
+  };
+}
+
+/**
+ * Post a JSON payload to a target
+ */
+async function postPayload(target, payload, timeoutSeconds) {
+  const response = await fetch(target.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(target.type === 'webhook' ? target.headers : {}) },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeoutSeconds * 1000)
+  });
+  
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.substring(0, 200)}` : ''}`);
+  }
+}
+
+/**
+ * Send notifications to every matching target
+ */
+async function sendNotifications() {
+  let sent = 0;
+  
+  try {
+    core.info('📣 Sending notifications...');
+    
+    const targets = loadNotificationTargets(process.env.NOTIFICATIONS || '', core);
+    const timeoutSeconds = parseInt(process.env.NOTIFICATION_TIMEOUT || '', 10) || DEFAULT_TIMEOUT;
+    
+    const notification = buildNotification(
+      readContext(),
+      readJsonIfExists('trivy-scan-summary.json'),
+      readJsonIfExists('trivy-comparison.json'),
+      readJsonIfExists('trivy-gate-results.json')
+    );
+    
+    for (const target of targets) {
+      const conditions = matchTarget(target, notification);
+      if (conditions.length === 0) {
+        core.info(`  ${target.name}: skipped (flow ${notification.flow.type}, when ${target.when.join(', ')})`);
+        continue;
+      }
+      
+      try {
+        await postPayload(target, formatPayload(target, notification, conditions), timeoutSeconds);
+        core.info(`  ✅ ${target.name}: sent (${conditions.join(', ')})`);
+        sent++;
+      } catch (error) {
+        core.warning(`⚠️  Failed to notify ${target.name}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    core.error(`❌ Failed to send notifications: ${error.message}`);
+    
+    // Don't fail the action, notifications are informational
+    core.warning('Continuing despite notification error...');
+  }
+  
+  core.setOutput('sent', sent.toString());
+}
+
+// Execute
+sendNotifications();
@@ -0,0 +1,52 @@
+/**
+ * Severity
+ * ========
+ * Severity levels, emoji, ranking and counters shared by the scan scripts
+ *
+ * Trivy reports severities in upper case (CRITICAL, HIGH, ...) while
+ * counters and outputs use lower case keys. Severities outside the known
+ * levels are ranked and counted as unknown.
+ */
+
+const SEVERITY_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'UNKNOWN'];
+
+// Counter keys, most severe first
+const SEVERITIES = SEVERITY_ORDER.map(severity => severity.toLowerCase());
+
+const SEVERITY_EMOJI = { CRITICAL: '🔴', HIGH: '🟠', MEDIUM: '🟡', LOW: '🟢', UNKNOWN: '⚪' };
+
+/**
+ * Rank a severity (lower is more severe)
+ */
+function severityRank(severity) {
+  const index = SEVERITY_ORDER.indexOf(String(severity || '').toUpperCase());
+  return index === -1 ? SEVERITY_ORDER.indexOf('UNKNOWN') : index;
+}
+
+/**
+ * Create empty severity counters
+ */
+function createCounts() {
+  return { critical: 0, high: 0, medium: 0, low: 0, unknown: 0, total: 0 };
+}
+
+/**
+ * Add a finding to severity counters
+ *
+ * @param {object} counts - Counters from createCounts()
+ * @param {string} severity - Severity in any case, unknown when empty
+ */
+function countSeverity(counts, severity) {
+  const key = String(severity || 'UNKNOWN').toLowerCase();
+  counts[SEVERITIES.includes(key) ? key : 'unknown']++;
+  counts.total++;
+}
+
+module.exports = {
+  SEVERITY_ORDER,
+  SEVERITIES,
+  SEVERITY_EMOJI,
+  severityRank,
+  createCounts,
+  countSeverity
+};
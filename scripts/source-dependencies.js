@@ -0,0 +1,142 @@
+/**
+ * Source Dependencies
+ * ===================
+ * Groups source code vulnerabilities by lockfile and compares them with the base branch
+ *
+ * The source scan reports one Trivy result per lockfile or manifest
+ * (package-lock.json, go.sum, requirements.txt, ...). In a monorepo the same
+ * CVE can show up in several of them, and each one has to be upgraded on its
+ * own, so findings are kept per target instead of being merged.
+ *
+ * When the source of the base branch was scanned as well, every finding is
+ * marked as new or existing by target, package and vulnerability ID, and the
+ * base branch findings that are gone are listed as resolved.
+ *
+ * Report format (trivy-source-dependencies.json):
+ *   {
+ *     "compared": true,
+ *     "targets": [
+ *       {
+ *         "target": "packages/api/package-lock.json",
+ *         "type": "npm",
+ *         "counts": { "critical": 0, "high": 2, "medium": 1, "low": 0, "unknown": 0, "total": 3 },
+ *         "new": { "critical": 0, "high": 1, "medium": 0, "low": 0, "unknown": 0, "total": 1 },
+ *         "vulnerabilities": [
+ *           { "id": "CVE-2024-4068", "package": "braces", "version": "3.0.2", "fixedVersion": "3.0.3", "severity": "HIGH", "status": "new" }
+ *         ]
+ *       }
+ *     ],
+ *     "resolved": [{ "id", "target", "package", "version", "severity" }]
+ *   }
+ */
+
+const { SEVERITY_ORDER, severityRank, createCounts, countSeverity } = require('./severity');
+
+/**
+ * Key identifying a source vulnerability in a lockfile
+ */
+function getSourceKey(target, finding) {
+  return `${target}|${finding.package}|${finding.id}`;
+}
+
+/**
+ * List the vulnerabilities of every lockfile or manifest
+ *
+ * @param {object} results - Parsed Trivy JSON results (with exceptions already applied)
+ * @returns {Array} Targets with their findings: { target, type, vulnerabilities }
+ */
+function extractTargets(results) {
+  const targets = new Map();
+  
+  ((results && results.Results) || []).forEach(result => {
+    if (!Array.isArray(result.Vulnerabilities) || result.Vulnerabilities.length === 0) {
+      return;
+    }
+    
+    const target = result.Target || 'unknown';
+    if (!targets.has(target)) {
+      targets.set(target, { target: target, type: result.Type || '', vulnerabilities: [] });
+    }
+    
+    const entry = targets.get(target);
+    result.Vulnerabilities.forEach(vuln => {
+      const finding = {
+        id: vuln.VulnerabilityID || 'UNKNOWN',
+        package: vuln.PkgName || 'unknown',
+        version: vuln.InstalledVersion || '',
+        fixedVersion: vuln.FixedVersion || '',
+        severity: (vuln.Severity || 'UNKNOWN').toUpperCase()
+      };
+      
+      // The same package can be listed more than once in a lockfile
+      if (!entry.vulnerabilities.some(existing => getSourceKey(target, existing) === getSourceKey(target, finding))) {
+        entry.vulnerabilities.push(finding);
+      }
+    });
+  });
+  
+  return Array.from(targets.values());
+}
+
+/**
+ * Group source vulnerabilities by lockfile and compare them with the base branch
+ *
+ * @param {object} results - Source scan results of the current build
+ * @param {object|null} baselineResults - Source scan results of the base branch (null when not scanned)
+ * @returns {{compared: boolean, targets: Array, resolved: Array}} Report, see the file header
+ */
+function summarizeSourceDependencies(results, baselineResults) {
+  const compared = Boolean(baselineResults);
+  const baselineKeys = new Map();
+  
+  if (compared) {
+    extractTargets(baselineResults).forEach(entry => {
+      entry.vulnerabilities.forEach(finding => {
+        baselineKeys.set(getSourceKey(entry.target, finding), { ...finding, target: entry.target });
+      });
+    });
+  }
+  
+  const currentKeys = new Set();
+  const targets = extractTargets(results).map(entry => {
+    const counts = createCounts();
+    const added = createCounts();
+    
+    const vulnerabilities = entry.vulnerabilities.map(finding => {
+      const key = getSourceKey(entry.target, finding);
+      const status = !compared ? '' : (baselineKeys.has(key) ? 'existing' : 'new');
+      
+      currentKeys.add(key);
+      countSeverity(counts, finding.severity);
+      if (status === 'new') {
+        countSeverity(added, finding.severity);
+      }
+      return { ...finding, status: status };
+    });
+    
+    vulnerabilities.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+    return { target: entry.target, type: entry.type, counts: counts, new: added, vulnerabilities: vulnerabilities };
+  });
+  
+  // Lockfiles with new findings first, then by the severity of what they contain
+  const rank = entry => SEVERITY_ORDER.map(severity => entry.counts[severity.toLowerCase()]);
+  targets.sort((a, b) => {
+    if ((a.new.total > 0) !== (b.new.total > 0)) {
+      return a.new.total > 0 ? -1 : 1;
+    }
+    const left = rank(a);
+    const right = rank(b);
+    const index = left.findIndex((value, position) => value !== right[position]);
+    return index === -1 ? a.target.localeCompare(b.target) : right[index] - left[index];
+  });
+  
+  const resolved = Array.from(baselineKeys.entries())
+    .filter(([key]) => !currentKeys.has(key))
+    .map(([, finding]) => ({ id: finding.id, target: finding.target, package: finding.package, version: finding.version, severity: finding.severity }));
+  
+  return { compared: compared, targets: targets, resolved: resolved };
+}
+
+module.exports = {
+  summarizeSourceDependencies
+};
@@ -0,0 +1,269 @@
+/**
+ * Template Engine
+ * ===============
+ * Minimal logic-aware template renderer for PR comments and job summaries
+ *
+ * Syntax:
+ *   {{ path.to.value }}              : Insert a value (arrays are comma-joined)
+ *   {{#if path}} ... {{else}} ... {{/if}}
+ *   {{#unless path}} ... {{/unless}}
+ *   {{#each path}} ... {{/each}}     : Loop over an array; item fields are in scope,
+ *                                      plus {{this}}, {{@index}}, {{@number}},
+ *                                      {{@first}} and {{@last}}
+ *   {{> partialName}}                : Insert a partial
+ *
+ * Block tags that stand alone on a line do not leave an empty line behind,
+ * so loops can generate markdown table rows.
+ *
+ * Truthiness follows Handlebars: empty arrays, empty strings, 0, false,
+ * null and undefined are falsy.
+ */
+
+const TAG_PATTERN = /{{\s*([#/>]?)\s*([^}]*?)\s*}}/g;
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+
+/**
+ * Split a template into text and tag tokens
+ */
+function tokenize(template) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+  
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    
+    const [, sigil, content] = match;
+    
+    if (sigil === '#') {
+      const [helper, ...args] = content.split(/\s+/);
+      if (!BLOCK_HELPERS.includes(helper)) {
+        throw new Error(`Unknown block helper "{{#${helper}}}"`);
+      }
+      tokens.push({ type: 'open', helper: helper, path: args.join(' ') });
+    } else if (sigil === '/') {
+      tokens.push({ type: 'close', helper: content });
+    } else if (sigil === '>') {
+      tokens.push({ type: 'partial', name: content });
+    } else if (content === 'else') {
+      tokens.push({ type: 'else' });
+    } else {
+      tokens.push({ type: 'variable', path: content });
+    }
+    
+    lastIndex = TAG_PATTERN.lastIndex;
+  }
+  
+  if (lastIndex < template.length) {
+    tokens.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  
+  return stripStandaloneLines(tokens);
+}
+
+/**
+ * Remove the surrounding line of block tags that stand alone on a line
+ */
+function stripStandaloneLines(tokens) {
+  const isStandaloneTag = token => ['open', 'close', 'else'].includes(token.type);
+  
+  tokens.forEach((token, index) => {
+    if (!isStandaloneTag(token)) {
+      return;
+    }
+    
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    
+    const previousOk = !previous || (previous.type === 'text' && /(^|\n)[ \t]*$/.test(previous.value));
+    const nextOk = !next || (next.type === 'text' && /^[ \t]*(\r?\n|$)/.test(next.value));
+    
+    if (previousOk && nextOk) {
+      if (previous) {
+        previous.value = previous.value.replace(/[ \t]*$/, '');
+      }
+      if (next) {
+        next.value = next.value.replace(/^[ \t]*(\r?\n)?/, '');
+      }
+    }
+  });
+  
+  return tokens;
+}
+
+/**
+ * Build a node tree from tokens
+ */
+function parse(tokens) {
+  const root = { children: [] };
+  const stack = [root];
+  
+  tokens.forEach(token => {
+    const current = stack[stack.length - 1];
+    
+    switch (token.type) {
+      case 'open': {
+        const node = { type: 'block', helper: token.helper, path: token.path, children: [], inverse: null };
+        current.children.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'else':
+        if (stack.length === 1 || current.inverse) {
+          throw new Error('Unexpected "{{else}}"');
+        }
+        current.inverse = [];
+        break;
+      case 'close':
+        if (stack.length === 1 || current.helper !== token.helper) {
+          throw new Error(`Unexpected "{{/${token.helper}}}"`);
+        }
+        stack.pop();
+        break;
+      default:
+        (current.inverse || current.children).push(token);
+    }
+  });
+  
+  if (stack.length > 1) {
+    throw new Error(`Unclosed "{{#${stack[stack.length - 1].helper}}}" block`);
+  }
+  
+  return root.children;
+}
+
+/**
+ * Resolve a dotted path against the scope chain (innermost scope first)
+ */
+function resolve(path, scopes) {
+  if (path === 'this' || path === '.') {
+    return scopes[scopes.length - 1].value;
+  }
+  
+  const segments = path.replace(/^this\./, '').split('.');
+  
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    
+    if (segments[0].startsWith('@')) {
+      if (scope.meta && segments[0] in scope.meta) {
+        return scope.meta[segments[0]];
+      }
+      continue;
+    }
+    
+    const value = scope.value;
+    if (value !== null && typeof value === 'object' && segments[0] in value) {
+      return segments.reduce((current, segment) => (current === null || current === undefined ? undefined : current[segment]), value);
+    }
+  }
+  
+  return undefined;
+}
+
+/**
+ * Evaluate template truthiness
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
+
+/**
+ * Convert a value to its text representation
+ */
+function stringify(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Render nodes with the given scope chain
+ */
+function renderNodes(nodes, scopes, partials, depth) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'variable':
+        return stringify(resolve(node.path, scopes));
+      case 'partial': {
+        const partial = partials[node.name];
+        if (partial === undefined) {
+          throw new Error(`Unknown partial "{{> ${node.name}}}"`);
+        }
+        if (typeof partial === 'function') {
+          return partial();
+        }
+        if (depth > 10) {
+          throw new Error(`Partial "${node.name}" is nested too deeply`);
+        }
+        return renderNodes(parse(tokenize(partial)), scopes, partials, depth + 1);
+      }
+      case 'block':
+        return renderBlock(node, scopes, partials, depth);
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Render a block helper node
+ */
+function renderBlock(node, scopes, partials, depth) {
+  const value = resolve(node.path, scopes);
+  const inverse = node.inverse || [];
+  
+  if (node.helper === 'if') {
+    return renderNodes(isTruthy(value) ? node.children : inverse, scopes, partials, depth);
+  }
+  
+  if (node.helper === 'unless') {
+    return renderNodes(isTruthy(value) ? inverse : node.children, scopes, partials, depth);
+  }
+  
+  // each
+  const items = Array.isArray(value) ? value : [];
+  if (items.length === 0) {
+    return renderNodes(inverse, scopes, partials, depth);
+  }
+  
+  return items.map((item, index) => {
+    const meta = {
+      '@index': index,
+      '@number': index + 1,
+      '@first': index === 0,
+      '@last': index === items.length - 1
+    };
+    return renderNodes(node.children, [...scopes, { value: item, meta: meta }], partials, depth);
+  }).join('');
+}
+
+/**
+ * Render a template string with data and partials
+ *
+ * @param {string} template - Template source
+ * @param {object} data - Root data object
+ * @param {object} partials - Partial templates (strings) or pre-rendered partials (functions)
+ * @returns {string} Rendered output
+ */
+function renderTemplate(template, data, partials = {}) {
+  const nodes = parse(tokenize(template));
+  return renderNodes(nodes, [{ value: data }], partials, 0);
+}
+
+module.exports = { renderTemplate };
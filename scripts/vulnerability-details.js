@@ -0,0 +1,195 @@
+/**
+ * Vulnerability Details Renderer
+ * ===============================
+ * Renders the vulnerability details list for PR comments and job summaries
+ *
+ * Findings from all Trivy targets are grouped by vulnerability ID (so a CVE
+ * affecting several packages is listed once), sorted by severity and fix
+ * availability, and rendered within a character budget. The most severe
+ * findings get full detail; as the budget runs out, the renderer drops to a
+ * compact line, then to a minimal line, and finally truncates the list.
+ *
+ * Detail levels:
+ *   - full    : ID, severity, packages, title and fixed versions
+ *   - compact : ID, packages and fixed versions on a single line
+ *   - minimal : ID and package names only
+ */
+
+const { SEVERITY_EMOJI, severityRank } = require('./severity');
+
+// Space kept free for the truncation notice
+const TRUNCATION_RESERVE = 400;
+
+/**
+ * Group Trivy vulnerabilities across all targets by vulnerability ID
+ *
+ * @param {object} results - Parsed Trivy JSON results
+ * @returns {Array} Grouped findings sorted by severity, fix availability and reach
+ */
+function groupFindings(results) {
+  const groups = new Map();
+  
+  const targets = Array.isArray(results.Results) ? results.Results : [];
+  targets.forEach(result => {
+    (result.Vulnerabilities || []).forEach(vuln => {
+      const id = vuln.VulnerabilityID || 'UNKNOWN';
+      const severity = (vuln.Severity || 'UNKNOWN').toUpperCase();
+      
+      if (!groups.has(id)) {
+        groups.set(id, { id: id, severity: severity, title: vuln.Title || '', url: vuln.PrimaryURL || '', packages: [] });
+      }
+      
+      const group = groups.get(id);
+      if (severityRank(severity) < severityRank(group.severity)) {
+        group.severity = severity;
+      }
+      
+      const pkg = {
+        name: vuln.PkgName || 'unknown',
+        version: vuln.InstalledVersion || '',
+        fixedVersion: vuln.FixedVersion || '',
+        target: result.Target || 'Package'
+      };
+      
+      // Same package reported twice for one target adds nothing
+      const duplicate = group.packages.some(existing =>
+        existing.name === pkg.name && existing.version === pkg.version && existing.target === pkg.target
+      );
+      if (!duplicate) {
+        group.packages.push(pkg);
+      }
+    });
+  });
+  
+  const findings = Array.from(groups.values());
+  findings.forEach(finding => {
+    finding.fixable = finding.packages.some(pkg => pkg.fixedVersion);
+  });
+  
+  return findings.sort((a, b) =>
+    severityRank(a.severity) - severityRank(b.severity) ||
+    Number(b.fixable) - Number(a.fixable) ||
+    b.packages.length - a.packages.length ||
+    a.id.localeCompare(b.id)
+  );
+}
+
+/**
+ * Format the affected package names of a finding
+ */
+function formatPackages(finding) {
+  return [...new Set(finding.packages.map(pkg => pkg.name))].map(name => `\`${name}\``).join(', ');
+}
+
+/**
+ * Format the fixed versions of a finding
+ */
+function formatFixes(finding) {
+  const fixes = finding.packages
+    .filter(pkg => pkg.fixedVersion)
+    .map(pkg => `\`${pkg.name}@${pkg.fixedVersion}\``);
+  return [...new Set(fixes)].join(', ');
+}
+
+/**
+ * Render a finding at the given detail level
+ */
+function renderFinding(finding, level) {
+  const emoji = SEVERITY_EMOJI[finding.severity] || '⚪';
+  const fixes = formatFixes(finding);
+  
+  if (level === 'minimal') {
+    return `- ${emoji} ${finding.id} ${formatPackages(finding)}\n`;
+  }
+  
+  if (level === 'compact') {
+    return `- ${emoji} **${finding.id}** - ${formatPackages(finding)}${fixes ? ` → ${fixes}` : ' (no fix)'}\n`;
+  }
+  
+  let line = `- ${emoji} **${finding.id}** (${finding.severity}) - ${formatPackages(finding)}\n`;
+  if (finding.title) {
+    line += `  - ${finding.title}\n`;
+  }
+  if (fixes) {
+    line += `  - Fixed in: ${fixes}\n`;
+  } else {
+    line += '  - No fix available\n';
+  }
+  const targets = [...new Set(finding.packages.map(pkg => pkg.target))];
+  if (targets.length > 1) {
+    line += `  - Found in: ${targets.map(target => `\`${target}\``).join(', ')}\n`;
+  }
+  return line;
+}
+
+/**
+ * Render grouped findings within a character budget
+ *
+ * Each finding gets the most detail that still leaves room for every
+ * remaining finding at minimal detail. Findings that do not fit even at
+ * minimal detail are cut.
+ *
+ * @param {Array} findings - Grouped findings from groupFindings()
+ * @param {number} budget - Maximum number of characters to produce
+ * @returns {{markdown: string, shown: number, omitted: number, reduced: boolean}}
+ */
+function renderWithinBudget(findings, budget) {
+  const available = budget - TRUNCATION_RESERVE;
+  const minimalLines = findings.map(finding => renderFinding(finding, 'minimal'));
+  
+  // Characters needed to list all findings after index i at minimal detail
+  const minimalSuffix = new Array(findings.length + 1).fill(0);
+  for (let i = findings.length - 1; i >= 0; i--) {
+    minimalSuffix[i] = minimalSuffix[i + 1] + minimalLines[i].length;
+  }
+  
+  let markdown = '';
+  let shown = 0;
+  let reduced = false;
+  
+  for (let i = 0; i < findings.length; i++) {
+    const reserve = minimalSuffix[i + 1];
+    const candidates = [renderFinding(findings[i], 'full'), renderFinding(findings[i], 'compact'), minimalLines[i]];
+    const fitting = candidates.find(line => markdown.length + line.length + reserve <= available);
+    
+    if (fitting) {
+      reduced = reduced || fitting !== candidates[0];
+      markdown += fitting;
+      shown++;
+    } else if (markdown.length + minimalLines[i].length <= available) {
+      // Not enough room for everything; keep listing until the budget is spent
+      reduced = true;
+      markdown += minimalLines[i];
+      shown++;
+    } else {
+      break;
+    }
+  }
+  
+  return { markdown, shown, omitted: findings.length - shown, reduced };
+}
+
+/**
+ * Render the full findings list as a standalone markdown report
+ */
+function renderFullReport(findings, heading) {
+  let report = `# ${heading}\n\n`;
+  report += '| Vulnerability | Severity | Package | Installed | Fixed In | Target | Title |\n';
+  report += '|---------------|----------|---------|-----------|----------|--------|-------|\n';
+  
+  findings.forEach(finding => {
+    finding.packages.forEach(pkg => {
+      const id = finding.url ? `[${finding.id}](${finding.url})` : finding.id;
+      const title = finding.title.replace(/\|/g, '\\|');
+      report += `| ${id} | ${finding.severity} | \`${pkg.name}\` | \`${pkg.version}\` | ${pkg.fixedVersion ? `\`${pkg.fixedVersion}\`` : '—'} | \`${pkg.target}\` | ${title} |\n`;
+    });
+  });
+  
+  return report;
+}
+
+module.exports = {
+  groupFindings,
+  renderWithinBudget,
+  renderFullReport
+};
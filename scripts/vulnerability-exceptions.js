@@ -0,0 +1,237 @@
+/**
+ * Vulnerability Exceptions
+ * ========================
+ * Loads structured vulnerability exceptions and applies them to Trivy results
+ *
+ * Unlike .trivyignore, every exception has to state why the finding is
+ * accepted, where it is tracked and until when. An exception stops
+ * suppressing its finding once its expiry date has passed, so accepted risks
+ * come back into view instead of being hidden forever.
+ *
+ * Exceptions format (JSON, inline or file path):
+ *   {
+ *     "warn-days": 14,
+ *     "exceptions": [
+ *       {
+ *         "id": "CVE-2023-12345",
+ *         "package": "openssl",
+ *         "version": "3.0.2-r0",
+ *         "reason": "Not reachable, TLS is terminated at the load balancer",
+ *         "ticket": "https://github.com/yourorg/yourrepo/issues/123",
+ *         "expires": "2025-06-30"
+ *       }
+ *     ]
+ *   }
+ *
+ *   - id        : Vulnerability ID (required)
+ *   - package   : Package name (any package when omitted)
+ *   - version   : Installed version (any version when omitted)
+ *   - reason    : Why the finding is accepted (required)
+ *   - ticket    : Link to the issue tracking the exception (required)
+ *   - expires   : Last day the exception applies, YYYY-MM-DD (required)
+ *   - warn-days : Exceptions expiring within this many days are reported as expiring (default 14)
+ */
+
+const fs = require('fs');
+
+const DEFAULT_WARN_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const REQUIRED_FIELDS = ['id', 'reason', 'ticket', 'expires'];
+
+/**
+ * Parse a YYYY-MM-DD date into the UTC timestamp at which it ends
+ */
+function parseExpiry(value) {
+  const match = String(value).match(DATE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  const [, year, month, day] = match.map(Number);
+  const end = Date.UTC(year, month - 1, day + 1);
+  
+  // Reject dates that roll over, such as 2025-02-30
+  const check = new Date(end - DAY_MS);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return end;
+}
+
+/**
+ * Validate a single exception entry
+ */
+function validateException(entry, index) {
+  const label = entry && entry.id ? `Exception ${entry.id}` : `Exception #${index + 1}`;
+  
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${label} must be an object`);
+  }
+  
+  const missing = REQUIRED_FIELDS.filter(field => typeof entry[field] !== 'string' || !entry[field].trim());
+  if (missing.length > 0) {
+    throw new Error(`${label} is missing ${missing.join(', ')}`);
+  }
+  
+  if (parseExpiry(entry.expires) === null) {
+    throw new Error(`${label} has an invalid expiry date "${entry.expires}" (expected YYYY-MM-DD)`);
+  }
+  
+  return {
+    id: entry.id.trim(),
+    package: typeof entry.package === 'string' ? entry.package.trim() : '',
+    version: typeof entry.version === 'string' ? entry.version.trim() : '',
+    reason: entry.reason.trim(),
+    ticket: entry.ticket.trim(),
+    expires: entry.expires
+  };
+}
+
+/**
+ * Load exceptions from inline JSON or a file path
+ *
+ * @param {string} input - Inline JSON or path to a JSON file
+ * @returns {{exceptions: Array, warnDays: number}|null} Validated exceptions (null when not configured)
+ */
+function loadExceptions(input) {
+  const value = (input || '').trim();
+  
+  if (!value) {
+    return null;
+  }
+  
+  let config;
+  if (value.startsWith('{') || value.startsWith('[')) {
+    config = JSON.parse(value);
+  } else {
+    if (!fs.existsSync(value)) {
+      throw new Error(`Vulnerability exceptions file not found: ${value}`);
+    }
+    config = JSON.parse(fs.readFileSync(value, 'utf8'));
+  }
+  
+  const list = Array.isArray(config) ? config : config.exceptions;
+  if (!Array.isArray(list)) {
+    throw new Error('Vulnerability exceptions must be a JSON array or an object with an "exceptions" array');
+  }
+  
+  const warnDays = Array.isArray(config) || config['warn-days'] === undefined ? DEFAULT_WARN_DAYS : Number(config['warn-days']);
+  if (!Number.isFinite(warnDays) || warnDays < 0) {
+    throw new Error(`Invalid warn-days "${config['warn-days']}" in vulnerability exceptions`);
+  }
+  
+  return { exceptions: list.map(validateException), warnDays };
+}
+
+/**
+ * Determine the status of every exception at the given time
+ *
+ * Status is "active", "expiring" (within warn-days) or "expired". Days left
+ * counts the full days remaining after today, so 0 means the exception
+ * expires at the end of today.
+ *
+ * @param {{exceptions: Array, warnDays: number}|null} config - Loaded exceptions
+ * @param {Date} now - Evaluation time
+ * @returns {Array} Exceptions with status and daysLeft
+ */
+function evaluateExceptions(config, now = new Date()) {
+  if (!config) {
+    return [];
+  }
+  
+  return config.exceptions.map(exception => {
+    const end = parseExpiry(exception.expires);
+    const daysLeft = Math.floor((end - now.getTime()) / DAY_MS);
+    let status = 'active';
+    if (now.getTime() >= end) {
+      status = 'expired';
+    } else if (daysLeft < config.warnDays) {
+      status = 'expiring';
+    }
+    return { ...exception, status, daysLeft };
+  });
+}
+
+/**
+ * Load and evaluate the configured exceptions
+ *
+ * An invalid exceptions file must not hide anything, so it is reported and
+ * no exception is applied.
+ *
+ * @param {string} input - Inline JSON or path to a JSON file
+ * @param {object} logger - Receives the error (e.g. @actions/core)
+ * @returns {Array} Exceptions from evaluateExceptions(), empty when invalid
+ */
+function loadExceptionStatus(input, logger) {
+  try {
+    return evaluateExceptions(loadExceptions(input));
+  } catch (error) {
+    logger.error(`❌ Invalid vulnerability exceptions, no exceptions applied: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Find the exception covering a vulnerability, ignoring expired exceptions
+ */
+function findException(exceptions, vuln) {
+  return exceptions.findIndex(exception =>
+    exception.status !== 'expired' &&
+    exception.id === vuln.VulnerabilityID &&
+    (!exception.package || exception.package === vuln.PkgName) &&
+    (!exception.version || exception.version === vuln.InstalledVersion)
+  );
+}
+
+/**
+ * Remove vulnerabilities covered by an unexpired exception from Trivy results
+ *
+ * @param {object} results - Parsed Trivy JSON results (not modified)
+ * @param {Array} exceptions - Exceptions from evaluateExceptions()
+ * @returns {{results: object, suppressed: Array}} Filtered results and the suppressed findings
+ */
+function applyExceptions(results, exceptions) {
+  const suppressed = [];
+  
+  if (!exceptions || exceptions.length === 0 || !results || !Array.isArray(results.Results)) {
+    return { results, suppressed };
+  }
+  
+  const filtered = {
+    ...results,
+    Results: results.Results.map(result => {
+      if (!Array.isArray(result.Vulnerabilities)) {
+        return result;
+      }
+      
+      const vulnerabilities = result.Vulnerabilities.filter(vuln => {
+        const index = findException(exceptions, vuln);
+        if (index === -1) {
+          return true;
+        }
+        
+        suppressed.push({
+          id: vuln.VulnerabilityID || 'UNKNOWN',
+          target: result.Target || 'unknown',
+          package: vuln.PkgName || 'unknown',
+          version: vuln.InstalledVersion || '',
+          severity: (vuln.Severity || 'UNKNOWN').toUpperCase(),
+          exception: index
+        });
+        return false;
+      });
+      
+      return { ...result, Vulnerabilities: vulnerabilities };
+    })
+  };
+  
+  return { results: filtered, suppressed };
+}
+
+module.exports = {
+  loadExceptions,
+  evaluateExceptions,
+  loadExceptionStatus,
+  applyExceptions
+};